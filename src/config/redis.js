@@ -2,6 +2,7 @@ const redis = require('redis');
 const logger = require('../utils/logger');
 
 let redisClient;
+let subscriberClient;
 
 const initialize = async () => {
   try {
@@ -93,7 +94,49 @@ const exists = async (key) => {
   }
 };
 
+const isReady = () => {
+  return Boolean(redisClient && redisClient.isReady);
+};
+
+const publish = async (channel, message) => {
+  try {
+    const client = getClient();
+    await client.publish(channel, JSON.stringify(message));
+    return true;
+  } catch (error) {
+    logger.error('Redis publish error:', error);
+    return false;
+  }
+};
+
+/**
+ * Subscribe to a channel on a dedicated connection (a subscribed client cannot run other commands)
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with each parsed message
+ */
+const subscribe = async (channel, handler) => {
+  if (!subscriberClient) {
+    subscriberClient = getClient().duplicate();
+    subscriberClient.on('error', (err) => {
+      logger.error('Redis Subscriber Error:', err);
+    });
+    await subscriberClient.connect();
+  }
+
+  await subscriberClient.subscribe(channel, (message) => {
+    try {
+      handler(JSON.parse(message));
+    } catch (error) {
+      logger.error('Redis message handling error:', error);
+    }
+  });
+};
+
 const quit = async () => {
+  if (subscriberClient) {
+    await subscriberClient.quit();
+    subscriberClient = null;
+  }
   if (redisClient) {
     await redisClient.quit();
     logger.info('Redis connection closed');
@@ -107,5 +150,8 @@ module.exports = {
   get,
   del,
   exists,
+  isReady,
+  publish,
+  subscribe,
   quit
 };
@@ -46,8 +46,8 @@ const swaggerOptions = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
-              description: 'Current job status'
+              enum: ['blocked', 'pending', 'running', 'completed', 'failed', 'cancelled'],
+              description: 'Current job status; blocked jobs are waiting on their dependencies'
             },
             progress: {
               type: 'number',
@@ -70,6 +70,143 @@ const swaggerOptions = {
               type: 'number',
               description: 'Time to live in milliseconds'
             },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the job failed; a worker sets it when reporting a failure'
+            },
+            parentId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Parent job; see GET /api/jobs/{id}/children'
+            },
+            scheduleId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              readOnly: true,
+              description: 'Schedule that created the job; see /api/schedules'
+            },
+            rollup: {
+              type: 'string',
+              enum: ['unweighted', 'weighted'],
+              nullable: true,
+              description: 'Derive this job\'s progress and status from its children'
+            },
+            weight: {
+              type: 'number',
+              default: 1,
+              description: 'Weight of this job in a weighted parent roll-up'
+            },
+            dependsOn: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              maxItems: 100,
+              writeOnly: true,
+              description: 'Jobs that must complete before this one leaves blocked; see GET /api/jobs/{id}/graph'
+            },
+            heartbeatTimeout: {
+              type: 'integer',
+              nullable: true,
+              minimum: 1000,
+              description: 'Fail the job if it stays running this many milliseconds without a heartbeat (POST /api/jobs/{id}/heartbeat)'
+            },
+            lastHeartbeatAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+              description: 'Time of the last heartbeat'
+            },
+            externalId: {
+              type: 'string',
+              nullable: true,
+              maxLength: 255,
+              description: 'Client-supplied identifier, unique across jobs; set on create only'
+            },
+            deadlineAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Fail the job with error "timeout" if it has not finished by this time'
+            },
+            maxRuntime: {
+              type: 'integer',
+              nullable: true,
+              minimum: 1000,
+              description: 'Fail a run with error "timeout" once it has been running this many milliseconds'
+            },
+            remainingSeconds: {
+              type: 'integer',
+              nullable: true,
+              readOnly: true,
+              description: 'Seconds until the job times out, from the earlier of deadlineAt and the end of its runtime budget; null when neither applies'
+            },
+            retryPolicy: {
+              type: 'object',
+              nullable: true,
+              description: 'Retry a failed attempt while attempts remain; the job goes back to pending and is not claimed before retryAt',
+              properties: {
+                maxAttempts: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 100
+                },
+                backoff: {
+                  type: 'string',
+                  enum: ['fixed', 'exponential'],
+                  default: 'exponential'
+                },
+                delay: {
+                  type: 'integer',
+                  default: 1000,
+                  description: 'Milliseconds before the first retry (every retry with fixed backoff)'
+                },
+                maxDelay: {
+                  type: 'integer',
+                  description: 'Upper bound on the exponential delay, in milliseconds'
+                }
+              }
+            },
+            attempt: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Current attempt, counting from 1; 0 until the job first runs. See GET /api/jobs/{id}/attempts'
+            },
+            maxAttempts: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Attempts allowed by the retry policy (1 without one)'
+            },
+            retryAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+              description: 'Earliest time a retried job is handed to a worker'
+            },
+            lease: {
+              type: 'object',
+              nullable: true,
+              readOnly: true,
+              description: 'Worker lease taken with POST /api/jobs/claim',
+              properties: {
+                owner: {
+                  type: 'string',
+                  description: 'Worker holding (or that last held) the lease'
+                },
+                expiresAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true,
+                  description: 'When the lease runs out unless renewed; null once the job leaves running'
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -80,10 +217,25 @@ const swaggerOptions = {
               format: 'date-time',
               description: 'Last update timestamp'
             },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Timestamp when the job entered running'
+            },
             completedAt: {
               type: 'string',
               format: 'date-time',
               description: 'Job completion timestamp'
+            },
+            failedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Job failure timestamp'
+            },
+            cancelledAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Job cancellation timestamp'
             }
           },
           required: ['name', 'status']
@@ -105,7 +257,7 @@ const swaggerOptions = {
               type: 'array',
               items: {
                 type: 'string',
-                enum: ['status_change', 'progress_update', 'completion', 'failure']
+                enum: ['created', 'status_change', 'progress_update', 'completion', 'failure', 'unblocked', 'deleted', 'expired', 'alert_firing', 'alert_resolved']
               },
               description: 'Events to trigger webhook'
             },
@@ -113,10 +265,123 @@ const swaggerOptions = {
               type: 'object',
               description: 'Custom headers for webhook requests'
             },
+            format: {
+              type: 'string',
+              enum: ['native', 'cloudevents-structured', 'cloudevents-binary'],
+              default: 'native',
+              description: 'Payload format; CloudEvents formats follow CloudEvents 1.0 (type com.jobstatus.job.<event>, subject = job id)'
+            },
+            template: {
+              type: 'object',
+              nullable: true,
+              description: 'Render the body for a chat incoming webhook instead of sending the raw payload',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['slack', 'teams', 'custom']
+                },
+                body: {
+                  type: 'string',
+                  description: 'Custom only: Mustache-style template that renders to JSON, e.g. {"text": "{{job.name}} is {{job.status}}"}'
+                }
+              }
+            },
+            filters: {
+              type: 'object',
+              description: 'Only deliver events for jobs matching every filter',
+              properties: {
+                tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Tags the job must all have'
+                },
+                namePattern: {
+                  type: 'string',
+                  description: 'Glob (nightly-*) matched against the job name, with * and ? wildcards'
+                },
+                metadata: {
+                  type: 'object',
+                  description: 'Metadata key/value pairs the job must match'
+                },
+                statuses: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Job statuses to deliver events for'
+                }
+              }
+            },
+            deliveryMode: {
+              type: 'string',
+              enum: ['immediate', 'batched', 'digest'],
+              default: 'immediate',
+              description: 'immediate sends each event; batched sends up to batchSize events as one array; digest sends the latest payload per job once per batchWindow'
+            },
+            batchSize: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 1000,
+              writeOnly: true,
+              description: 'Batched mode: events per batch (default WEBHOOK_BATCH_SIZE)'
+            },
+            batchWindow: {
+              type: 'string',
+              writeOnly: true,
+              description: 'Longest time an event is held before its batch is sent, e.g. "30s" (default WEBHOOK_BATCH_WINDOW ms)'
+            },
+            batching: {
+              type: 'object',
+              readOnly: true,
+              description: 'Batching settings and stats',
+              properties: {
+                batchSize: { type: 'integer' },
+                batchWindow: {
+                  type: 'integer',
+                  description: 'Milliseconds'
+                },
+                batchesSent: { type: 'integer' },
+                eventsBatched: { type: 'integer' },
+                eventsCollapsed: {
+                  type: 'integer',
+                  description: 'Digest mode: events replaced by a later event for the same job'
+                },
+                averageBatchSize: { type: 'number' },
+                lastBatchAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                bufferedEvents: {
+                  type: 'integer',
+                  description: 'Events waiting for the next batch (single webhook only)'
+                }
+              }
+            },
             isActive: {
               type: 'boolean',
               description: 'Whether webhook is active'
             },
+            breaker: {
+              type: 'object',
+              readOnly: true,
+              description: 'Circuit breaker state',
+              properties: {
+                state: {
+                  type: 'string',
+                  enum: ['closed', 'open', 'half_open']
+                },
+                failureStreak: {
+                  type: 'integer',
+                  description: 'Consecutive failed delivery attempts'
+                },
+                openedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                nextProbeAt: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -124,6 +389,143 @@ const swaggerOptions = {
           },
           required: ['url', 'events']
         },
+        Schedule: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              readOnly: true,
+              description: 'Unique schedule identifier'
+            },
+            name: {
+              type: 'string',
+              description: 'Schedule name'
+            },
+            cron: {
+              type: 'string',
+              description: 'Five-field cron expression, e.g. "0 2 * * *" for 02:00 every day'
+            },
+            timezone: {
+              type: 'string',
+              default: 'UTC',
+              description: 'IANA timezone the cron expression is evaluated in'
+            },
+            jobTemplate: {
+              type: 'object',
+              description: 'Job created on every run',
+              required: ['name'],
+              properties: {
+                name: {
+                  type: 'string'
+                },
+                description: {
+                  type: 'string'
+                },
+                tags: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  }
+                },
+                metadata: {
+                  type: 'object'
+                },
+                ttl: {
+                  type: 'number',
+                  description: 'Time to live in milliseconds'
+                }
+              }
+            },
+            isPaused: {
+              type: 'boolean',
+              default: false,
+              description: 'Paused schedules create no jobs'
+            },
+            lastRunAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true,
+              description: 'Scheduled time of the last run'
+            },
+            lastJobId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              readOnly: true,
+              description: 'Job created by the last run or trigger'
+            }
+          },
+          required: ['name', 'cron', 'jobTemplate']
+        },
+        AlertRule: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              readOnly: true,
+              description: 'Unique rule identifier'
+            },
+            name: {
+              type: 'string',
+              description: 'Rule name, used in alert messages'
+            },
+            type: {
+              type: 'string',
+              enum: ['max_duration', 'failure_count', 'absence'],
+              description: 'max_duration: matching jobs must finish within window of being created. failure_count: more than threshold matching jobs failed in the last window. absence: no matching job completed in the last window.'
+            },
+            filters: {
+              type: 'object',
+              description: 'Jobs the rule looks at; same tags, namePattern and metadata filters as webhooks. Empty matches every job.',
+              properties: {
+                tags: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  }
+                },
+                namePattern: {
+                  type: 'string'
+                },
+                metadata: {
+                  type: 'object'
+                }
+              }
+            },
+            window: {
+              type: 'string',
+              writeOnly: true,
+              example: '30m',
+              description: 'Duration such as "10m" or "26h", between 1 minute and 30 days; bare numbers are seconds'
+            },
+            windowMs: {
+              type: 'integer',
+              readOnly: true,
+              description: 'The window in milliseconds'
+            },
+            threshold: {
+              type: 'integer',
+              nullable: true,
+              minimum: 0,
+              description: 'failure_count only: the rule fires when more failures than this are seen'
+            },
+            isEnabled: {
+              type: 'boolean',
+              default: true,
+              description: 'Disabled rules are not evaluated; disabling a rule resolves its alert'
+            },
+            lastEvaluatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              readOnly: true
+            }
+          },
+          required: ['name', 'type', 'window']
+        },
         Error: {
           type: 'object',
           properties: {
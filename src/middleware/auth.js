@@ -81,10 +81,26 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Identify who made a request, for audit purposes
+ * @param {Object} req - Express request
+ * @returns {string|null} - Username or id of the caller
+ */
+const getActor = (req) => {
+  if (req.user) {
+    return req.user.username || (req.user.id !== undefined ? String(req.user.id) : null);
+  }
+  if (req.auth && req.auth.user) {
+    return req.auth.user;
+  }
+  return null;
+};
+
 module.exports = {
   authenticate,
   basicAuthMiddleware,
   jwtAuth,
   generateToken,
-  verifyToken
+  verifyToken,
+  getActor
 };
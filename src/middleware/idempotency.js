@@ -0,0 +1,63 @@
+const idempotency = require('../services/idempotency');
+const { checkIdempotencyKey } = require('../utils/idempotency');
+const { getActor } = require('./auth');
+const logger = require('../utils/logger');
+
+/**
+ * Make a create endpoint idempotent when the request carries an Idempotency-Key
+ * header. The first request with a key runs; repeats with the same body get
+ * the stored 201 response back with Idempotent-Replayed: true. Place after
+ * validation so the key covers the validated body.
+ * @param {string} scope - Operation the keys apply to
+ * @returns {Function} - Express middleware function
+ */
+const idempotent = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    const keyError = checkIdempotencyKey(key);
+    if (keyError) {
+      return res.status(400).json({
+        error: `Idempotency-Key ${keyError}`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await idempotency.begin({ actor: getActor(req), scope, key, body: req.body });
+    } catch (error) {
+      logger.error('Failed to check idempotency key:', error);
+      return res.status(500).json({ error: 'Failed to check idempotency key' });
+    }
+
+    if (outcome.error) {
+      return res.status(outcome.error.status).json(outcome.error.body);
+    }
+    if (outcome.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(outcome.replay.status).json(outcome.replay.body);
+    }
+
+    // Store the response before sending it, so a retry that arrives after the
+    // client hears back always finds it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode === 201
+        ? idempotency.complete(outcome.claim, { status: 201, body })
+        : idempotency.release(outcome.claim);
+
+      settle
+        .catch(error => logger.error('Failed to store idempotency key:', error))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -1,4 +1,16 @@
 const Joi = require('joi');
+const { DURATION_PATTERN, parseDuration } = require('../utils/duration');
+const { JOB_STATUSES, TERMINAL_STATUSES } = require('../utils/jobStatus');
+const { compileNamePattern } = require('../utils/webhookFilters');
+const { EVENT_TYPES } = require('../utils/jobEvents');
+const { WEBHOOK_FORMATS } = require('../utils/webhookFormats');
+const { TEMPLATE_TYPES, validateCustomTemplate } = require('../utils/webhookTemplates');
+const { DELIVERY_MODES } = require('../utils/webhookBatching');
+const { STATS_WINDOWS } = require('../utils/deliveryStats');
+const { ROLLUP_MODES } = require('../utils/jobRollup');
+const { BACKOFF_TYPES } = require('../utils/jobRetry');
+const { checkCronExpression, isValidTimezone } = require('../utils/cronSchedule');
+const { RULE_TYPES, ALERT_EVENT_TYPES, MIN_RULE_WINDOW, MAX_RULE_WINDOW } = require('../utils/alertRules');
 const logger = require('../utils/logger');
 
 /**
@@ -37,17 +49,39 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// 'blocked' is only ever set by the API, from a job's dependencies
+const SETTABLE_STATUSES = JOB_STATUSES.filter(status => status !== 'blocked');
+
+/**
+ * Job retry policy: how many attempts a job gets, and how long to wait between them
+ */
+const retryPolicySchema = Joi.object({
+  maxAttempts: Joi.number().integer().min(1).max(100).required(),
+  backoff: Joi.string().valid(...BACKOFF_TYPES).default('exponential'),
+  delay: Joi.number().integer().min(0).max(24 * 60 * 60 * 1000).default(1000),
+  maxDelay: Joi.number().integer().min(0).optional()
+});
+
 /**
  * Job creation validation schema
  */
 const createJobSchema = Joi.object({
   name: Joi.string().required().min(1).max(255),
   description: Joi.string().max(1000).optional(),
-  status: Joi.string().valid('pending', 'running', 'completed', 'failed', 'cancelled').default('pending'),
+  status: Joi.string().valid(...SETTABLE_STATUSES).default('pending'),
   progress: Joi.number().min(0).max(100).default(0),
   tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
   metadata: Joi.object().max(50).optional(),
-  ttl: Joi.number().positive().optional()
+  ttl: Joi.number().positive().optional(),
+  parentId: Joi.string().uuid().optional(),
+  rollup: Joi.string().valid(...ROLLUP_MODES).allow(null).optional(),
+  weight: Joi.number().positive().optional(),
+  dependsOn: Joi.array().items(Joi.string().uuid()).max(100).unique().optional(),
+  heartbeatTimeout: Joi.number().integer().min(1000).optional(),
+  retryPolicy: retryPolicySchema.optional(),
+  deadlineAt: Joi.date().iso().optional(),
+  maxRuntime: Joi.number().integer().min(1000).optional(),
+  externalId: Joi.string().min(1).max(255).optional()
 });
 
 /**
@@ -56,18 +90,29 @@ const createJobSchema = Joi.object({
 const updateJobSchema = Joi.object({
   name: Joi.string().min(1).max(255).optional(),
   description: Joi.string().max(1000).optional(),
-  status: Joi.string().valid('pending', 'running', 'completed', 'failed', 'cancelled').optional(),
+  status: Joi.string().valid(...SETTABLE_STATUSES).optional(),
   progress: Joi.number().min(0).max(100).optional(),
   tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
   metadata: Joi.object().max(50).optional(),
-  ttl: Joi.number().positive().optional()
+  ttl: Joi.number().positive().optional(),
+  parentId: Joi.string().uuid().allow(null).optional(),
+  rollup: Joi.string().valid(...ROLLUP_MODES).allow(null).optional(),
+  weight: Joi.number().positive().optional(),
+  dependsOn: Joi.array().items(Joi.string().uuid()).max(100).unique().optional(),
+  error: Joi.string().max(10000).allow(null).optional(),
+  heartbeatTimeout: Joi.number().integer().min(1000).allow(null).optional(),
+  retryPolicy: retryPolicySchema.allow(null).optional(),
+  deadlineAt: Joi.date().iso().allow(null).optional(),
+  maxRuntime: Joi.number().integer().min(1000).allow(null).optional()
 });
 
 /**
  * Job query validation schema
  */
 const jobQuerySchema = Joi.object({
-  status: Joi.string().valid('pending', 'running', 'completed', 'failed', 'cancelled').optional(),
+  status: Joi.string().valid(...JOB_STATUSES).optional(),
+  scheduleId: Joi.string().uuid().optional(),
+  externalId: Joi.string().max(255).optional(),
   tags: Joi.alternatives().try(
     Joi.string(),
     Joi.array().items(Joi.string())
@@ -80,6 +125,89 @@ const jobQuerySchema = Joi.object({
   sortOrder: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+/**
+ * Job stream query validation schema
+ */
+const jobStreamQuerySchema = Joi.object({
+  status: Joi.string().valid(...JOB_STATUSES).optional(),
+  tags: Joi.alternatives().try(
+    Joi.string(),
+    Joi.array().items(Joi.string())
+  ).optional(),
+  lastEventId: Joi.number().integer().min(0).optional()
+});
+
+/**
+ * Job wait (long-poll) query validation schema
+ */
+const jobWaitQuerySchema = Joi.object({
+  timeout: Joi.string().pattern(DURATION_PATTERN).default('30s'),
+  until: Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(status => status.trim()).filter(Boolean);
+    if (statuses.length === 0 || statuses.some(status => !JOB_STATUSES.includes(status))) {
+      return helpers.message(`"until" must be a comma separated list of: ${JOB_STATUSES.join(', ')}`);
+    }
+    return statuses;
+  }).default(TERMINAL_STATUSES)
+});
+
+/**
+ * Job event history query validation schema
+ */
+const jobEventQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Job children query validation schema
+ */
+const jobChildrenQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Job attempt history query validation schema
+ */
+const jobAttemptQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Job deletion query validation schema
+ */
+const jobDeleteQuerySchema = Joi.object({
+  children: Joi.string().valid('block', 'cascade').default('block')
+});
+
+/**
+ * Lease length: a duration such as "5m", or a number of seconds
+ */
+const leaseDuration = Joi.alternatives().try(
+  Joi.number().positive(),
+  Joi.string().pattern(DURATION_PATTERN)
+);
+
+/**
+ * Worker claim validation schema
+ */
+const jobClaimSchema = Joi.object({
+  workerId: Joi.string().min(1).max(255).required(),
+  tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  name: Joi.string().max(255).optional(),
+  lease: leaseDuration.optional()
+});
+
+/**
+ * Worker heartbeat validation schema
+ */
+const jobHeartbeatSchema = Joi.object({
+  workerId: Joi.string().min(1).max(255).optional(),
+  lease: leaseDuration.optional()
+});
+
 /**
  * Bulk operations validation schema
  */
@@ -92,30 +220,156 @@ const bulkOperationsSchema = Joi.object({
         then: createJobSchema.required()
       }).when('operation', {
         is: 'update',
-        then: Joi.object({
-          id: Joi.string().uuid().required(),
-          ...updateJobSchema.describe().keys
+        then: updateJobSchema.keys({
+          id: Joi.string().uuid().required()
         }).required()
       }).when('operation', {
         is: 'delete',
         then: Joi.object({
-          id: Joi.string().uuid().required()
+          id: Joi.string().uuid().required(),
+          children: Joi.string().valid('block', 'cascade').default('block')
         }).required()
       })
     })
   ).min(1).max(100).required()
 });
 
+/**
+ * Job selection filters shared by webhook subscriptions and alert rules
+ */
+const jobFiltersSchema = Joi.object({
+  tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  namePattern: Joi.string().max(200).custom((value, helpers) => {
+    try {
+      compileNamePattern(value);
+      return value;
+    } catch (error) {
+      return helpers.message(`"namePattern" is not a valid pattern: ${error.message}`);
+    }
+  }).optional(),
+  metadata: Joi.object().pattern(
+    Joi.string(),
+    Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean())
+  ).max(20).optional()
+});
+
 /**
  * Webhook validation schema
  */
 const webhookSchema = Joi.object({
   url: Joi.string().uri().required(),
   events: Joi.array().items(
-    Joi.string().valid('status_change', 'progress_update', 'completion', 'failure')
+    Joi.string().valid(...EVENT_TYPES, ...ALERT_EVENT_TYPES)
   ).min(1).required(),
   headers: Joi.object().max(20).optional(),
-  isActive: Joi.boolean().default(true)
+  isActive: Joi.boolean().default(true),
+  format: Joi.string().valid(...WEBHOOK_FORMATS).default('native'),
+  template: Joi.object({
+    type: Joi.string().valid(...TEMPLATE_TYPES).required(),
+    body: Joi.when('type', {
+      is: 'custom',
+      then: Joi.string().max(10000).required().custom((value, helpers) => {
+        const error = validateCustomTemplate(value);
+        return error ? helpers.message(`"template.body" ${error}`) : value;
+      }),
+      otherwise: Joi.forbidden()
+    })
+  }).allow(null).optional(),
+  deliveryMode: Joi.string().valid(...DELIVERY_MODES).default('immediate').when('template', {
+    is: Joi.object().required(),
+    then: Joi.valid(Joi.override, 'immediate').messages({
+      'any.only': '"deliveryMode" must be immediate when a template is set'
+    })
+  }),
+  batchSize: Joi.number().integer().min(1).max(1000).optional(),
+  batchWindow: Joi.alternatives().try(
+    Joi.number().positive(),
+    Joi.string().pattern(DURATION_PATTERN)
+  ).optional(),
+  filters: jobFiltersSchema.keys({
+    statuses: Joi.array().items(Joi.string().valid(...JOB_STATUSES)).optional()
+  }).optional()
+});
+
+/**
+ * Webhook secret rotation validation schema
+ */
+const rotateSecretSchema = Joi.object({
+  gracePeriod: Joi.string().pattern(DURATION_PATTERN).optional()
+});
+
+/**
+ * Webhook replay query validation schema
+ */
+const webhookReplayQuerySchema = Joi.object({
+  since: Joi.date().iso().required(),
+  until: Joi.date().iso().min(Joi.ref('since')).optional(),
+  eventType: Joi.string().max(50).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(500)
+});
+
+/**
+ * Webhook stats query validation schema
+ */
+const webhookStatsQuerySchema = Joi.object({
+  window: Joi.string().valid(...Object.keys(STATS_WINDOWS)).default('24h')
+});
+
+/**
+ * Job schedule validation schema
+ */
+const scheduleSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  cron: Joi.string().max(100).required().custom((value, helpers) => {
+    const error = checkCronExpression(value);
+    return error ? helpers.message(`"cron" ${error}`) : value.trim();
+  }),
+  timezone: Joi.string().max(64).default('UTC').custom((value, helpers) => {
+    return isValidTimezone(value) ? value : helpers.message('"timezone" must be an IANA timezone such as Europe/Berlin');
+  }),
+  jobTemplate: Joi.object({
+    name: Joi.string().min(1).max(255).required(),
+    description: Joi.string().max(1000).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+    metadata: Joi.object().max(50).optional(),
+    ttl: Joi.number().positive().optional()
+  }).required(),
+  isPaused: Joi.boolean().default(false)
+});
+
+/**
+ * Alert rule validation schema
+ */
+const alertRuleSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  type: Joi.string().valid(...RULE_TYPES).required(),
+  filters: jobFiltersSchema.default({}),
+  window: Joi.alternatives().try(
+    Joi.number().positive(),
+    Joi.string().pattern(DURATION_PATTERN)
+  ).required().custom((value, helpers) => {
+    const ms = parseDuration(value);
+    if (ms < MIN_RULE_WINDOW || ms > MAX_RULE_WINDOW) {
+      return helpers.message('"window" must be between 1 minute and 30 days');
+    }
+    return value;
+  }),
+  threshold: Joi.when('type', {
+    is: 'failure_count',
+    then: Joi.number().integer().min(0).required(),
+    otherwise: Joi.forbidden()
+  }),
+  isEnabled: Joi.boolean().default(true)
+});
+
+/**
+ * Alert query validation schema
+ */
+const alertQuerySchema = Joi.object({
+  status: Joi.string().valid('firing', 'resolved').optional(),
+  ruleId: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
 /**
@@ -131,7 +385,21 @@ module.exports = {
   createJobSchema,
   updateJobSchema,
   jobQuerySchema,
+  jobEventQuerySchema,
+  jobChildrenQuerySchema,
+  jobAttemptQuerySchema,
+  jobDeleteQuerySchema,
+  jobStreamQuerySchema,
+  jobWaitQuerySchema,
+  jobClaimSchema,
+  jobHeartbeatSchema,
   bulkOperationsSchema,
   webhookSchema,
+  rotateSecretSchema,
+  webhookReplayQuerySchema,
+  webhookStatsQuerySchema,
+  scheduleSchema,
+  alertRuleSchema,
+  alertQuerySchema,
   tagQuerySchema
 };
@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.timestamp('started_at');
+    table.timestamp('failed_at');
+    table.timestamp('cancelled_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.dropColumn('started_at');
+    table.dropColumn('failed_at');
+    table.dropColumn('cancelled_at');
+  });
+};
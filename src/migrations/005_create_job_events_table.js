@@ -0,0 +1,27 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('job_events', (table) => {
+    table.increments('id').primary();
+    table.string('job_id', 36).notNullable();
+    table.string('action', 20).notNullable();
+    table.text('changes').defaultTo('{}');
+    table.string('actor', 255);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index(['job_id', 'id']);
+    table.index('action');
+    table.index('created_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('job_events');
+};
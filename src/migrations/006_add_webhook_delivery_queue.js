@@ -0,0 +1,48 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('webhook_deliveries', (table) => {
+    table.string('status', 20).defaultTo('pending');
+    table.timestamp('next_attempt_at');
+    table.timestamp('updated_at');
+    
+    // Index used by the delivery worker to find due deliveries
+    table.index(['status', 'next_attempt_at']);
+  });
+
+  // Rows written before the queue existed are history, not work
+  await knex('webhook_deliveries').whereNotNull('delivered_at').update({ status: 'delivered' });
+  await knex('webhook_deliveries').whereNull('delivered_at').update({ status: 'failed' });
+
+  await knex.schema.createTable('webhook_delivery_attempts', (table) => {
+    table.increments('id').primary();
+    table.string('delivery_id', 36).notNullable();
+    table.string('webhook_id', 36);
+    table.integer('attempt').notNullable();
+    table.integer('status_code');
+    table.text('response_body');
+    table.text('error_message');
+    table.integer('duration_ms');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    
+    // Indexes
+    table.index('delivery_id');
+    table.index(['webhook_id', 'created_at']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('webhook_delivery_attempts');
+  await knex.schema.alterTable('webhook_deliveries', (table) => {
+    table.dropIndex(['status', 'next_attempt_at']);
+    table.dropColumn('status');
+    table.dropColumn('next_attempt_at');
+    table.dropColumn('updated_at');
+  });
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.alterTable('webhooks', (table) => {
+    table.string('secret', 128);
+    table.string('previous_secret', 128);
+    table.timestamp('previous_secret_expires_at');
+    table.timestamp('secret_rotated_at');
+  });
+
+  // Give existing webhooks a secret so every delivery is signed
+  const webhooks = await knex('webhooks').whereNull('secret').select('id');
+  for (const webhook of webhooks) {
+    await knex('webhooks')
+      .where('id', webhook.id)
+      .update({ secret: `whsec_${crypto.randomBytes(32).toString('hex')}` });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('webhooks', (table) => {
+    table.dropColumn('secret');
+    table.dropColumn('previous_secret');
+    table.dropColumn('previous_secret_expires_at');
+    table.dropColumn('secret_rotated_at');
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('webhook_deliveries', (table) => {
+    table.string('original_delivery_id', 36);
+    table.index('original_delivery_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('webhook_deliveries', (table) => {
+    table.dropIndex('original_delivery_id');
+    table.dropColumn('original_delivery_id');
+  });
+};
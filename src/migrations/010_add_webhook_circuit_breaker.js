@@ -0,0 +1,30 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('webhooks', (table) => {
+    table.string('breaker_state', 20).defaultTo('closed');
+    table.timestamp('breaker_opened_at');
+    table.timestamp('next_probe_at');
+    table.timestamp('disabled_at');
+    table.string('disabled_reason', 255);
+    
+    table.index('breaker_state');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('webhooks', (table) => {
+    table.dropIndex('breaker_state');
+    table.dropColumn('breaker_state');
+    table.dropColumn('breaker_opened_at');
+    table.dropColumn('next_probe_at');
+    table.dropColumn('disabled_at');
+    table.dropColumn('disabled_reason');
+  });
+};
@@ -0,0 +1,44 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('webhooks', (table) => {
+      table.string('delivery_mode', 20).defaultTo('immediate');
+      table.integer('batch_size');
+      table.integer('batch_window');
+      table.integer('batches_sent').defaultTo(0);
+      table.integer('batched_events').defaultTo(0);
+      table.integer('collapsed_events').defaultTo(0);
+      table.timestamp('last_batch_at');
+    })
+    .alterTable('webhook_deliveries', (table) => {
+      table.string('batch_id', 36);
+      
+      table.index('batch_id');
+      table.index(['webhook_id', 'status']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('webhook_deliveries', (table) => {
+      table.dropIndex(['webhook_id', 'status']);
+      table.dropIndex('batch_id');
+      table.dropColumn('batch_id');
+    })
+    .alterTable('webhooks', (table) => {
+      table.dropColumn('delivery_mode');
+      table.dropColumn('batch_size');
+      table.dropColumn('batch_window');
+      table.dropColumn('batches_sent');
+      table.dropColumn('batched_events');
+      table.dropColumn('collapsed_events');
+      table.dropColumn('last_batch_at');
+    });
+};
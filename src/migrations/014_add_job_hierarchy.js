@@ -0,0 +1,26 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.string('parent_id', 36);
+    table.string('rollup', 20);
+    table.float('weight').defaultTo(1);
+    
+    table.index('parent_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.dropIndex('parent_id');
+    table.dropColumn('parent_id');
+    table.dropColumn('rollup');
+    table.dropColumn('weight');
+  });
+};
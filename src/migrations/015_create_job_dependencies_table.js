@@ -0,0 +1,26 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('job_dependencies', (table) => {
+    table.string('job_id', 36).notNullable();
+    table.string('depends_on_id', 36).notNullable();
+    table.string('state', 20).notNullable().defaultTo('waiting');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('resolved_at');
+    
+    table.primary(['job_id', 'depends_on_id']);
+    
+    // Indexes
+    table.index(['depends_on_id', 'state']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('job_dependencies');
+};
@@ -0,0 +1,27 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.string('lease_owner', 255);
+    table.timestamp('lease_expires_at');
+    
+    // Claims take the oldest pending job; the lease sweep looks for running jobs past their expiry
+    table.index(['status', 'created_at']);
+    table.index(['status', 'lease_expires_at']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.dropIndex(['status', 'created_at']);
+    table.dropIndex(['status', 'lease_expires_at']);
+    table.dropColumn('lease_owner');
+    table.dropColumn('lease_expires_at');
+  });
+};
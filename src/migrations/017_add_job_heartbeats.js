@@ -0,0 +1,21 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.integer('heartbeat_timeout');
+    table.timestamp('last_heartbeat_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.dropColumn('heartbeat_timeout');
+    table.dropColumn('last_heartbeat_at');
+  });
+};
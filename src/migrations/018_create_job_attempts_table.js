@@ -0,0 +1,39 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('jobs', (table) => {
+      table.text('retry_policy');
+      table.integer('attempt').notNullable().defaultTo(0);
+      table.timestamp('retry_at');
+    })
+    .createTable('job_attempts', (table) => {
+      table.increments('id').primary();
+      table.string('job_id', 36).notNullable();
+      table.integer('attempt').notNullable();
+      table.string('status', 20).notNullable().defaultTo('running');
+      table.string('worker', 255);
+      table.text('error');
+      table.timestamp('started_at');
+      table.timestamp('finished_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      table.unique(['job_id', 'attempt']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTable('job_attempts')
+    .alterTable('jobs', (table) => {
+      table.dropColumn('retry_policy');
+      table.dropColumn('attempt');
+      table.dropColumn('retry_at');
+    });
+};
@@ -0,0 +1,40 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('job_schedules', (table) => {
+      table.string('id', 36).primary();
+      table.string('name', 255).notNullable();
+      table.string('cron_expression', 100).notNullable();
+      table.string('timezone', 64).notNullable().defaultTo('UTC');
+      table.text('job_template').notNullable();
+      table.boolean('is_paused').defaultTo(false);
+      table.timestamp('last_run_at');
+      table.string('last_job_id', 36);
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index('is_paused');
+    })
+    .alterTable('jobs', (table) => {
+      table.string('schedule_id', 36);
+      
+      table.index('schedule_id');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('jobs', (table) => {
+      table.dropIndex('schedule_id');
+      table.dropColumn('schedule_id');
+    })
+    .dropTable('job_schedules');
+};
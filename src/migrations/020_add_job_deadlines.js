@@ -0,0 +1,24 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.timestamp('deadline_at');
+    table.integer('max_runtime');
+    
+    table.index('deadline_at');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('jobs', (table) => {
+    table.dropIndex('deadline_at');
+    table.dropColumn('deadline_at');
+    table.dropColumn('max_runtime');
+  });
+};
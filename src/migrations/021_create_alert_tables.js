@@ -0,0 +1,45 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('alert_rules', (table) => {
+      table.string('id', 36).primary();
+      table.string('name', 255).notNullable();
+      table.string('type', 50).notNullable();
+      table.text('filters');
+      table.integer('threshold');
+      table.bigInteger('window_ms').notNullable();
+      table.boolean('is_enabled').defaultTo(true);
+      table.timestamp('last_evaluated_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+    })
+    .createTable('alerts', (table) => {
+      table.string('id', 36).primary();
+      table.string('rule_id', 36).notNullable();
+      table.string('status', 20).notNullable();
+      table.integer('value');
+      table.text('message');
+      table.text('details');
+      table.timestamp('fired_at').notNullable();
+      table.timestamp('resolved_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      table.timestamp('updated_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index(['rule_id', 'status']);
+      table.index(['status', 'fired_at']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTable('alerts')
+    .dropTable('alert_rules');
+};
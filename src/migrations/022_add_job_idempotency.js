@@ -0,0 +1,36 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('jobs', (table) => {
+      table.string('external_id', 255);
+      
+      table.unique('external_id');
+    })
+    .createTable('idempotency_keys', (table) => {
+      table.string('key', 64).primary();
+      table.string('fingerprint', 64).notNullable();
+      table.integer('response_status');
+      table.text('response_body');
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+      
+      // Indexes
+      table.index('expires_at');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTable('idempotency_keys')
+    .alterTable('jobs', (table) => {
+      table.dropUnique('external_id');
+      table.dropColumn('external_id');
+    });
+};
@@ -0,0 +1,338 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const { parseDuration } = require('../utils/duration');
+const { validate, alertRuleSchema, alertQuerySchema } = require('../middleware/validation');
+const { parseJson } = require('../utils/json');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List alerts
+ *     description: Alerts are opened when a rule is breached and resolved when it no longer is. Newest first.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [firing, resolved]
+ *       - in: query
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: List of alerts
+ */
+router.get('/', validate(alertQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { status, ruleId, limit, offset } = req.query;
+    const db = database.getConnection();
+
+    let query = db('alerts');
+    if (status) {
+      query = query.where('status', status);
+    }
+    if (ruleId) {
+      query = query.where('rule_id', ruleId);
+    }
+
+    const alerts = await query
+      .orderBy('fired_at', 'desc')
+      .limit(limit)
+      .offset(offset)
+      .select('*');
+
+    res.json({
+      alerts: alerts.map(formatAlertResponse),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   post:
+ *     summary: Create an alert rule
+ *     description: Rules are checked every minute against the jobs table. A breached rule opens an alert and notifies webhooks subscribed to alert_firing; alert_resolved follows once it recovers.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       201:
+ *         description: Alert rule created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/rules', validate(alertRuleSchema), async (req, res) => {
+  try {
+    const now = new Date();
+    const ruleData = {
+      id: uuidv4(),
+      ...toRuleColumns(req.body),
+      created_at: now,
+      updated_at: now
+    };
+
+    const db = database.getConnection();
+    const [rule] = await db('alert_rules').insert(ruleData).returning('*');
+
+    logger.info('Alert rule created', { ruleId: rule.id, type: rule.type });
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule: formatRuleResponse(rule)
+    });
+  } catch (error) {
+    logger.error('Failed to create alert rule:', error);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   get:
+ *     summary: List alert rules
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: List of alert rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const db = database.getConnection();
+    const rules = await db('alert_rules')
+      .select('*')
+      .orderBy('created_at', 'desc');
+
+    res.json({
+      rules: rules.map(formatRuleResponse)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch alert rules:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{id}:
+ *   get:
+ *     summary: Get alert rule details
+ *     description: Includes the rule's firing alert, if it has one.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert rule details
+ *       404:
+ *         description: Alert rule not found
+ */
+router.get('/rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const [rule] = await db('alert_rules').where('id', id).select('*');
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const [firingAlert] = await db('alerts')
+      .where('rule_id', id)
+      .where('status', 'firing')
+      .select('*');
+
+    res.json({
+      rule: {
+        ...formatRuleResponse(rule),
+        firingAlert: firingAlert ? formatAlertResponse(firingAlert) : null
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch alert rule:', error);
+    res.status(500).json({ error: 'Failed to fetch alert rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{id}:
+ *   put:
+ *     summary: Update alert rule
+ *     description: Replaces the rule. A firing alert stays open until the next evaluation under the new definition; disabling the rule resolves it.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated successfully
+ *       404:
+ *         description: Alert rule not found
+ */
+router.put('/rules/:id', validate(alertRuleSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const [updatedRule] = await db('alert_rules')
+      .where('id', id)
+      .update({
+        ...toRuleColumns(req.body),
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    if (!updatedRule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    logger.info('Alert rule updated', { ruleId: id });
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule: formatRuleResponse(updatedRule)
+    });
+  } catch (error) {
+    logger.error('Failed to update alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/alerts/rules/{id}:
+ *   delete:
+ *     summary: Delete alert rule
+ *     description: Deletes the rule and its alerts without notifying webhooks.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted successfully
+ *       404:
+ *         description: Alert rule not found
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const deletedCount = await db('alert_rules').where('id', id).del();
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    await db('alerts').where('rule_id', id).del();
+
+    logger.info('Alert rule deleted', { ruleId: id });
+
+    res.json({ message: 'Alert rule deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete alert rule:', error);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+/**
+ * Map a validated rule body to its columns
+ */
+function toRuleColumns({ name, type, filters, window, threshold, isEnabled }) {
+  return {
+    name,
+    type,
+    filters: JSON.stringify(filters),
+    window_ms: parseDuration(window),
+    threshold: threshold === undefined ? null : threshold,
+    is_enabled: isEnabled
+  };
+}
+
+/**
+ * Format alert rule response for API
+ */
+function formatRuleResponse(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    filters: parseJson(rule.filters, {}),
+    windowMs: Number(rule.window_ms),
+    threshold: rule.threshold === null || rule.threshold === undefined ? null : rule.threshold,
+    isEnabled: Boolean(rule.is_enabled),
+    lastEvaluatedAt: rule.last_evaluated_at || null,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+}
+
+/**
+ * Format alert response for API
+ */
+function formatAlertResponse(alert) {
+  return {
+    id: alert.id,
+    ruleId: alert.rule_id,
+    status: alert.status,
+    value: alert.value,
+    message: alert.message,
+    jobIds: parseJson(alert.details, {}).jobIds || [],
+    firedAt: alert.fired_at,
+    resolvedAt: alert.resolved_at || null,
+    updatedAt: alert.updated_at
+  };
+}
+
+module.exports = router;
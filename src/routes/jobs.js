@@ -2,8 +2,26 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
 const redis = require('../config/redis');
-const webhookManager = require('../utils/webhook');
-const { validate, createJobSchema, updateJobSchema, jobQuerySchema, bulkOperationsSchema } = require('../middleware/validation');
+const jobStatus = require('../utils/jobStatus');
+const jobHistory = require('../services/jobHistory');
+const jobNotifier = require('../services/jobNotifier');
+const jobHierarchy = require('../services/jobHierarchy');
+const jobGraph = require('../services/jobGraph');
+const jobAttempts = require('../services/jobAttempts');
+const jobQueue = require('../services/jobQueue');
+const idempotency = require('../services/idempotency');
+const eventBus = require('../services/eventBus');
+const sse = require('../utils/sse');
+const { parseDuration } = require('../utils/duration');
+const { getLeaseRelease } = require('../utils/jobLease');
+const { getAttemptStart, applyRetryPolicy, parseRetryPolicy } = require('../utils/jobRetry');
+const { getRemainingSeconds } = require('../utils/jobDeadline');
+const { checkIdempotencyKey, getBulkRequestBody } = require('../utils/idempotency');
+const { isUniqueViolation } = require('../utils/dbErrors');
+const { parseJson } = require('../utils/json');
+const { getActor } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, createJobSchema, updateJobSchema, jobQuerySchema, jobEventQuerySchema, jobChildrenQuerySchema, jobAttemptQuerySchema, jobDeleteQuerySchema, jobStreamQuerySchema, jobWaitQuerySchema, jobClaimSchema, jobHeartbeatSchema, bulkOperationsSchema } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -13,7 +31,14 @@ const router = express.Router();
  * /api/jobs:
  *   post:
  *     summary: Create a new job
+ *     description: Send an Idempotency-Key to make retries safe. Repeating the key with the same body returns the original 201 response (with Idempotent-Replayed true) instead of creating another job.
  *     tags: [Jobs]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
  *     requestBody:
  *       required: true
  *       content:
@@ -25,24 +50,67 @@ const router = express.Router();
  *         description: Job created successfully
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: externalId already in use (EXTERNAL_ID_CONFLICT), or a request with the same Idempotency-Key is still in flight (IDEMPOTENCY_KEY_IN_USE)
+ *       422:
+ *         description: Idempotency-Key already used with a different body (IDEMPOTENCY_KEY_MISMATCH)
  */
-router.post('/', validate(createJobSchema), async (req, res) => {
+router.post('/', validate(createJobSchema), idempotent('jobs:create'), async (req, res) => {
   try {
     const db = database.getConnection();
+    const { parentId, dependsOn, ...body } = req.body;
+    const fields = toJobColumns(body);
+    const id = uuidv4();
+    
+    const parentError = await checkParent(null, parentId);
+    if (parentError) {
+      return res.status(parentError.status).json(parentError.body);
+    }
+    
+    const externalIdError = await checkExternalId(fields.external_id);
+    if (externalIdError) {
+      return res.status(externalIdError.status).json(externalIdError.body);
+    }
+    
+    // Jobs with unfinished dependencies start out blocked
+    const dependencies = dependsOn ? await planJobDependencies(id, dependsOn, { isNew: true }) : null;
+    if (dependencies && dependencies.error) {
+      return res.status(dependencies.error.status).json(dependencies.error.body);
+    }
+    if (dependencies) {
+      applyDependencyStatus(fields, dependencies.plan);
+    }
+    
+    const now = new Date();
     const jobData = {
-      id: uuidv4(),
-      ...req.body,
-      created_at: new Date(),
-      updated_at: new Date()
+      id,
+      ...fields,
+      ...(parentId ? { parent_id: parentId } : {}),
+      ...jobStatus.getTransitionTimestamps(null, fields.status, now),
+      ...getAttemptStart(null, fields.status),
+      created_at: now,
+      updated_at: now
     };
 
-    const [job] = await db('jobs').insert(jobData).returning('*');
+    // The job never exists without its dependency edges
+    let job = await db.transaction(async (trx) => {
+      const [inserted] = await trx('jobs').insert(jobData).returning('*');
+      if (dependencies) {
+        await jobGraph.saveDependencies(inserted.id, dependencies.plan.edges, trx);
+      }
+      return inserted;
+    });
     
     // Cache the job
     await redis.set(`job:${job.id}`, job, 3600); // Cache for 1 hour
     
-    // Trigger webhooks for new job
-    await triggerWebhooks(job, 'status_change');
+    // Record history and trigger webhooks for new job
+    await jobNotifier.notify({ mutation: 'created', job, actor: getActor(req) });
+    
+    // A dependency that finished while the edges were being written did not see them
+    if (dependencies) {
+      job = await jobNotifier.recheckDependencies(job, getActor(req));
+    }
     
     logger.info('Job created', { jobId: job.id, name: job.name });
     
@@ -51,6 +119,10 @@ router.post('/', validate(createJobSchema), async (req, res) => {
       job: formatJobResponse(job)
     });
   } catch (error) {
+    // Another request took the externalId after checkExternalId
+    if (isUniqueViolation(error) && req.body.externalId) {
+      return res.status(409).json(formatExternalIdError(req.body.externalId));
+    }
     logger.error('Failed to create job:', error);
     res.status(500).json({ error: 'Failed to create job' });
   }
@@ -67,12 +139,23 @@ router.post('/', validate(createJobSchema), async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, running, completed, failed, cancelled]
+ *           enum: [blocked, pending, running, completed, failed, cancelled]
  *       - in: query
  *         name: tags
  *         schema:
  *           type: string
  *       - in: query
+ *         name: scheduleId
+ *         description: Only jobs created by this schedule
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: externalId
+ *         description: The job with this client-supplied identifier
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -99,7 +182,7 @@ router.post('/', validate(createJobSchema), async (req, res) => {
 router.get('/', validate(jobQuerySchema, 'query'), async (req, res) => {
   try {
     const db = database.getConnection();
-    const { status, tags, startDate, endDate, limit, offset, sortBy, sortOrder } = req.query;
+    const { status, tags, scheduleId, externalId, startDate, endDate, limit, offset, sortBy, sortOrder } = req.query;
     
     let query = db('jobs').select('*');
     
@@ -113,6 +196,14 @@ router.get('/', validate(jobQuerySchema, 'query'), async (req, res) => {
       query = query.whereRaw('tags @> ?', [JSON.stringify(tagArray)]);
     }
     
+    if (scheduleId) {
+      query = query.where('schedule_id', scheduleId);
+    }
+    
+    if (externalId) {
+      query = query.where('external_id', externalId);
+    }
+    
     if (startDate) {
       query = query.where('created_at', '>=', startDate);
     }
@@ -136,6 +227,8 @@ router.get('/', validate(jobQuerySchema, 'query'), async (req, res) => {
       const tagArray = Array.isArray(tags) ? tags : [tags];
       countQuery = countQuery.whereRaw('tags @> ?', [JSON.stringify(tagArray)]);
     }
+    if (scheduleId) countQuery = countQuery.where('schedule_id', scheduleId);
+    if (externalId) countQuery = countQuery.where('external_id', externalId);
     if (startDate) countQuery = countQuery.where('created_at', '>=', startDate);
     if (endDate) countQuery = countQuery.where('created_at', '<=', endDate);
     
@@ -156,6 +249,191 @@ router.get('/', validate(jobQuerySchema, 'query'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/jobs/stream:
+ *   get:
+ *     summary: Stream live job events (Server-Sent Events)
+ *     description: Pushes created, status_change, progress_update, updated and deleted events. Send Last-Event-ID to resume after a disconnect.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [blocked, pending, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: text/event-stream of job events
+ */
+router.get('/stream', validate(jobStreamQuerySchema, 'query'), async (req, res) => {
+  const { status, tags } = req.query;
+  const tagArray = tags ? (Array.isArray(tags) ? tags : [tags]) : [];
+  
+  const matches = (job) => {
+    if (!status && tagArray.length === 0) return true;
+    if (!job) return false;
+    if (status && job.status !== status) return false;
+    const jobTags = parseJson(job.tags, []);
+    return tagArray.every(tag => jobTags.includes(tag));
+  };
+  
+  await streamJobEvents(req, res, { matches, lastEventId: sse.getLastEventId(req) });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/stream:
+ *   get:
+ *     summary: Stream live events for a single job (Server-Sent Events)
+ *     description: Sends a snapshot event with the current job, then each change. Send Last-Event-ID to resume after a disconnect.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: text/event-stream of job events
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/stream', async (req, res) => {
+  const { id } = req.params;
+  const lastEventId = sse.getLastEventId(req);
+  let job;
+  
+  try {
+    const db = database.getConnection();
+    [job] = await db('jobs').where('id', id).select('*');
+    
+    if (!job && lastEventId === null) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+  } catch (error) {
+    logger.error('Failed to open job stream:', error);
+    return res.status(500).json({ error: 'Failed to open job stream' });
+  }
+  
+  await streamJobEvents(req, res, {
+    jobId: id,
+    lastEventId,
+    snapshot: lastEventId === null ? job : null
+  });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/wait:
+ *   get:
+ *     summary: Wait for a job to reach a status (long-poll)
+ *     description: Holds the request open until the job reaches one of the requested statuses or the timeout passes.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: timeout
+ *         description: How long to wait, e.g. 500ms, 30s, 2m (capped by JOB_WAIT_MAX_TIMEOUT)
+ *         schema:
+ *           type: string
+ *           default: 30s
+ *       - in: query
+ *         name: until
+ *         description: Comma separated statuses to wait for
+ *         schema:
+ *           type: string
+ *           default: completed,failed,cancelled
+ *     responses:
+ *       200:
+ *         description: Job reached one of the requested statuses
+ *       404:
+ *         description: Job not found or deleted while waiting
+ *       408:
+ *         description: Timed out, body contains the current job state
+ */
+router.get('/:id/wait', validate(jobWaitQuerySchema, 'query'), async (req, res) => {
+  const { id } = req.params;
+  const { until } = req.query;
+  const maxTimeout = parseInt(process.env.JOB_WAIT_MAX_TIMEOUT) || 5 * 60 * 1000;
+  const timeoutMs = Math.min(parseDuration(req.query.timeout), maxTimeout);
+  
+  let timer = null;
+  let unsubscribe = () => {};
+  let settled = false;
+  
+  const finish = (statusCode, body) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    unsubscribe();
+    if (!res.headersSent) {
+      res.status(statusCode).json(body);
+    }
+  };
+  
+  try {
+    let latestJob = null;
+    
+    // Subscribe before reading the job so a transition in between is not missed
+    unsubscribe = eventBus.subscribe(({ event, job }) => {
+      if (event.job_id !== id) return;
+      if (event.action === 'deleted' || event.action === 'expired') {
+        return finish(404, { error: `Job was ${event.action} while waiting` });
+      }
+      latestJob = job;
+      if (job && until.includes(job.status)) {
+        finish(200, { reached: true, job: formatJobResponse(job) });
+      }
+    });
+    
+    res.on('close', () => finish(499, {}));
+    
+    const db = database.getConnection();
+    const [currentJob] = await db('jobs').where('id', id).select('*');
+    
+    if (!currentJob) {
+      return finish(404, { error: 'Job not found' });
+    }
+    
+    latestJob = latestJob || currentJob;
+    if (until.includes(latestJob.status)) {
+      return finish(200, { reached: true, job: formatJobResponse(latestJob) });
+    }
+    
+    timer = setTimeout(() => {
+      finish(408, {
+        reached: false,
+        error: 'Timed out waiting for job status',
+        until,
+        job: formatJobResponse(latestJob)
+      });
+    }, timeoutMs);
+  } catch (error) {
+    logger.error('Failed to wait for job:', error);
+    finish(500, { error: 'Failed to wait for job' });
+  }
+});
+
 /**
  * @swagger
  * /api/jobs/{id}:
@@ -228,6 +506,10 @@ router.get('/:id', async (req, res) => {
  *         description: Job updated successfully
  *       404:
  *         description: Job not found
+ *       400:
+ *         description: Validation error, or a parent or dependency does not exist
+ *       409:
+ *         description: Status transition not allowed, the status changed concurrently, or the new parent or dependencies would create a cycle
  */
 router.put('/:id', validate(updateJobSchema), async (req, res) => {
   try {
@@ -240,32 +522,69 @@ router.put('/:id', validate(updateJobSchema), async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
     
-    const updateData = {
-      ...req.body,
-      updated_at: new Date()
-    };
+    // Enforce the status state machine
+    if (!jobStatus.canTransition(currentJob.status, req.body.status)) {
+      return res.status(409).json(formatTransitionError(currentJob.status, req.body.status));
+    }
     
-    // Handle completion timestamp
-    if (req.body.status === 'completed' && !currentJob.completed_at) {
-      updateData.completed_at = new Date();
+    const { parentId, dependsOn, ...body } = req.body;
+    const fields = toJobColumns(body);
+    if (parentId !== undefined && parentId !== currentJob.parent_id) {
+      const parentError = await checkParent(id, parentId);
+      if (parentError) {
+        return res.status(parentError.status).json(parentError.body);
+      }
+      fields.parent_id = parentId;
+    }
+    
+    // New dependencies re-block a job that has not started yet
+    const dependencies = dependsOn ? await planJobDependencies(id, dependsOn) : null;
+    if (dependencies && dependencies.error) {
+      return res.status(dependencies.error.status).json(dependencies.error.body);
+    }
+    if (dependencies) {
+      applyDependencyStatus(fields, dependencies.plan, currentJob.status);
     }
     
-    const [updatedJob] = await db('jobs')
-      .where('id', id)
-      .update(updateData)
-      .returning('*');
+    // A failure with attempts left is scheduled back to pending
+    const now = new Date();
+    const updateData = applyRetryPolicy(currentJob, {
+      ...fields,
+      ...jobStatus.getTransitionTimestamps(currentJob.status, fields.status, now),
+      ...getLeaseRelease(currentJob.status, fields.status),
+      ...getAttemptStart(currentJob, fields.status),
+      updated_at: now
+    }, now);
+    
+    // Only apply the change if nobody moved the job since it was read
+    let updatedJob = await db.transaction(async (trx) => {
+      const [updated] = await trx('jobs')
+        .where('id', id)
+        .where('status', currentJob.status)
+        .update(updateData)
+        .returning('*');
+      if (updated && dependencies) {
+        await jobGraph.saveDependencies(id, dependencies.plan.edges, trx);
+      }
+      return updated;
+    });
+    if (!updatedJob) {
+      return res.status(409).json(formatStatusConflictError(currentJob.status));
+    }
     
     // Clear cache
     await redis.del(`job:${id}`);
     
-    // Trigger webhooks if status changed
-    if (req.body.status && req.body.status !== currentJob.status) {
-      await triggerWebhooks(updatedJob, 'status_change', currentJob);
-    }
+    // Record history and trigger webhooks for whatever changed
+    await jobNotifier.notify({
+      mutation: 'updated',
+      job: updatedJob,
+      previousState: currentJob,
+      actor: getActor(req)
+    });
     
-    // Trigger progress webhook if progress changed
-    if (req.body.progress !== undefined && req.body.progress !== currentJob.progress) {
-      await triggerWebhooks(updatedJob, 'progress_update', currentJob);
+    if (dependencies) {
+      updatedJob = await jobNotifier.recheckDependencies(updatedJob, getActor(req));
     }
     
     logger.info('Job updated', { jobId: id, status: updatedJob.status });
@@ -293,29 +612,46 @@ router.put('/:id', validate(updateJobSchema), async (req, res) => {
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: children
+ *         description: What to do with child jobs - block the delete, or delete the whole subtree
+ *         schema:
+ *           type: string
+ *           enum: [block, cascade]
+ *           default: block
  *     responses:
  *       200:
  *         description: Job deleted successfully
  *       404:
  *         description: Job not found
+ *       409:
+ *         description: Job has children and children=block
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(jobDeleteQuerySchema, 'query'), async (req, res) => {
   try {
     const { id } = req.params;
+    const { children } = req.query;
     const db = database.getConnection();
     
-    const deletedCount = await db('jobs').where('id', id).del();
-    
-    if (deletedCount === 0) {
+    const [currentJob] = await db('jobs').where('id', id).select('*');
+    if (!currentJob) {
       return res.status(404).json({ error: 'Job not found' });
     }
     
-    // Clear cache
-    await redis.del(`job:${id}`);
+    const descendants = await jobHierarchy.listDescendants(id);
+    if (descendants.length > 0 && children !== 'cascade') {
+      return res.status(409).json(formatHasChildrenError(id, descendants));
+    }
+    
+    // Clears the cache, records history and triggers webhooks for every removed job
+    await deleteJobTree(currentJob, descendants, getActor(req));
     
-    logger.info('Job deleted', { jobId: id });
+    logger.info('Job deleted', { jobId: id, descendants: descendants.length });
     
-    res.json({ message: 'Job deleted successfully' });
+    res.json({
+      message: 'Job deleted successfully',
+      deletedCount: 1 + descendants.length
+    });
   } catch (error) {
     logger.error('Failed to delete job:', error);
     res.status(500).json({ error: 'Failed to delete job' });
@@ -324,124 +660,892 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * @swagger
- * /api/jobs/bulk:
- *   post:
- *     summary: Bulk operations on jobs
+ * /api/jobs/{id}/events:
+ *   get:
+ *     summary: Get job event history
+ *     description: Append-only history of creates, updates and deletes, oldest first. Events are kept for JOB_HISTORY_RETENTION_DAYS days (default 30), including after the job is deleted.
  *     tags: [Jobs]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               operations:
- *                 type: array
- *                 items:
- *                   type: object
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
  *     responses:
  *       200:
- *         description: Bulk operations completed
+ *         description: Job event history
+ *       404:
+ *         description: Job not found
  */
-router.post('/bulk', validate(bulkOperationsSchema), async (req, res) => {
+router.get('/:id/events', validate(jobEventQuerySchema, 'query'), async (req, res) => {
   try {
-    const db = database.getConnection();
-    const { operations } = req.body;
-    const results = [];
+    const { id } = req.params;
+    const { limit, offset } = req.query;
     
-    for (const op of operations) {
-      try {
-        switch (op.operation) {
-          case 'create':
-            const jobData = {
-              id: uuidv4(),
-              ...op.data,
-              created_at: new Date(),
-              updated_at: new Date()
-            };
-            const [createdJob] = await db('jobs').insert(jobData).returning('*');
-            await redis.set(`job:${createdJob.id}`, createdJob, 3600);
-            await triggerWebhooks(createdJob, 'status_change');
-            results.push({ operation: 'create', success: true, job: createdJob });
-            break;
-            
-          case 'update':
-            const updateData = {
-              ...op.data,
-              updated_at: new Date()
-            };
-            delete updateData.id;
-            
-            if (updateData.status === 'completed') {
-              updateData.completed_at = new Date();
-            }
-            
-            const [updatedJob] = await db('jobs')
-              .where('id', op.data.id)
-              .update(updateData)
-              .returning('*');
-              
-            if (updatedJob) {
-              await redis.del(`job:${op.data.id}`);
-              await triggerWebhooks(updatedJob, 'status_change');
-              results.push({ operation: 'update', success: true, job: updatedJob });
-            } else {
-              results.push({ operation: 'update', success: false, error: 'Job not found' });
-            }
-            break;
-            
-          case 'delete':
-            const deletedCount = await db('jobs').where('id', op.data.id).del();
-            if (deletedCount > 0) {
-              await redis.del(`job:${op.data.id}`);
-              results.push({ operation: 'delete', success: true });
-            } else {
-              results.push({ operation: 'delete', success: false, error: 'Job not found' });
-            }
-            break;
-        }
-      } catch (error) {
-        results.push({ 
-          operation: op.operation, 
-          success: false, 
-          error: error.message 
-        });
+    const { events, total } = await jobHistory.list(id, { limit, offset });
+    
+    if (total === 0) {
+      const db = database.getConnection();
+      const [job] = await db('jobs').where('id', id).select('id');
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
       }
     }
     
-    const successCount = results.filter(r => r.success).length;
-    logger.info('Bulk operations completed', { 
-      total: operations.length, 
-      successful: successCount 
-    });
-    
     res.json({
-      message: `Bulk operations completed. ${successCount}/${operations.length} successful.`,
-      results
+      events: events.map(formatEventResponse),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: offset + limit < total
+      }
     });
   } catch (error) {
-    logger.error('Failed to execute bulk operations:', error);
-    res.status(500).json({ error: 'Failed to execute bulk operations' });
+    logger.error('Failed to fetch job events:', error);
+    res.status(500).json({ error: 'Failed to fetch job events' });
   }
 });
 
 /**
- * Trigger webhooks for job events
+ * @swagger
+ * /api/jobs/{id}/children:
+ *   get:
+ *     summary: List a job's direct children
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Child jobs, oldest first
+ *       404:
+ *         description: Job not found
  */
-async function triggerWebhooks(job, eventType, previousState = null) {
+router.get('/:id/children', validate(jobChildrenQuerySchema, 'query'), async (req, res) => {
   try {
+    const { id } = req.params;
+    const { limit, offset } = req.query;
     const db = database.getConnection();
-    const webhooks = await db('webhooks')
-      .where('is_active', true)
-      .whereRaw('events @> ?', [JSON.stringify([eventType])])
-      .select('*');
-    if (webhooks.length > 0) {
-      const payload = webhookManager.createJobPayload(job, eventType, previousState);
-      await webhookManager.sendWebhooks(webhooks, payload);
+    
+    const [job] = await db('jobs').where('id', id).select('id');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-  } catch (error) {
-    logger.error('Failed to trigger webhooks:', error);
-  }
+    
+    const { children, total } = await jobHierarchy.listChildren(id, { limit, offset });
+    
+    res.json({
+      children: children.map(formatJobResponse),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch child jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch child jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/attempts:
+ *   get:
+ *     summary: List a job's attempts
+ *     description: One entry per run of the job, oldest first, with how it ended. Finished attempts are kept for JOB_HISTORY_RETENTION_DAYS days (default 30), including after the job is deleted.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Job attempts
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/attempts', validate(jobAttemptQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit, offset } = req.query;
+    
+    const { attempts, total } = await jobAttempts.list(id, { limit, offset });
+    
+    if (total === 0) {
+      const db = database.getConnection();
+      const [job] = await db('jobs').where('id', id).select('id');
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    }
+    
+    res.json({
+      attempts: attempts.map(formatAttemptResponse),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch job attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch job attempts' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/graph:
+ *   get:
+ *     summary: Get the dependency graph around a job
+ *     description: Every job the job depends on and every job that depends on it, transitively. An edge runs from a dependency to the job waiting on it.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Nodes and edges of the dependency graph
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/graph', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+    
+    const [job] = await db('jobs').where('id', id).select('id');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const { nodes, edges, truncated } = await jobGraph.getGraph(id);
+    
+    res.json({
+      nodes: nodes.map(formatGraphNode),
+      edges: edges.map(formatGraphEdge),
+      truncated
+    });
+  } catch (error) {
+    logger.error('Failed to fetch job graph:', error);
+    res.status(500).json({ error: 'Failed to fetch job graph' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/claim:
+ *   post:
+ *     summary: Claim the oldest pending job
+ *     description: Atomically moves the oldest pending job matching the filters to running and leases it to the worker. Concurrent claims never receive the same job. Renew the lease with POST /api/jobs/{id}/heartbeat; when it runs out the job is requeued or failed (JOB_LEASE_EXPIRY_ACTION).
+ *     tags: [Jobs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [workerId]
+ *             properties:
+ *               workerId:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only claim jobs carrying all of these tags
+ *               name:
+ *                 type: string
+ *                 description: Only claim jobs with this name; '*' matches any characters, e.g. "nightly-*"
+ *               lease:
+ *                 type: string
+ *                 description: Lease length, e.g. "5m" or a number of seconds (default JOB_LEASE_DURATION ms)
+ *     responses:
+ *       200:
+ *         description: The claimed job, now running
+ *       204:
+ *         description: No pending job matched
+ *       400:
+ *         description: Validation error
+ */
+router.post('/claim', validate(jobClaimSchema), async (req, res) => {
+  try {
+    const { workerId, tags, name, lease } = req.body;
+    
+    const claimed = await jobQueue.claimJob({
+      workerId,
+      tags,
+      name,
+      lease: parseDuration(lease)
+    });
+    
+    if (!claimed) {
+      return res.status(204).end();
+    }
+    
+    const { job, previousState } = claimed;
+    await redis.del(`job:${job.id}`);
+    
+    await jobNotifier.notify({
+      mutation: 'updated',
+      job,
+      previousState,
+      actor: getActor(req) || workerId
+    });
+    
+    logger.info('Job claimed', { jobId: job.id, workerId });
+    
+    res.json({
+      job: formatJobResponse(job)
+    });
+  } catch (error) {
+    logger.error('Failed to claim job:', error);
+    res.status(500).json({ error: 'Failed to claim job' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/heartbeat:
+ *   post:
+ *     summary: Record a heartbeat for a running job
+ *     description: Touches lastHeartbeatAt, which keeps a job with a heartbeatTimeout from being failed as stale. For a claimed job, pass the workerId holding the lease to renew it; heartbeats without a workerId are only accepted for jobs that were not claimed.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workerId:
+ *                 type: string
+ *                 description: Worker holding the lease, for claimed jobs
+ *               lease:
+ *                 type: string
+ *                 description: New lease length from now, e.g. "5m" (default JOB_LEASE_DURATION ms)
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not running, or its lease is held by another worker
+ */
+router.post('/:id/heartbeat', validate(jobHeartbeatSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { workerId, lease } = req.body;
+    
+    const result = await jobQueue.recordHeartbeat(id, { workerId, lease: parseDuration(lease) });
+    
+    if (result.error === 'not_found') {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.error) {
+      return res.status(409).json(formatLeaseError(result.error, result.job));
+    }
+    
+    await redis.del(`job:${id}`);
+    
+    res.json({
+      message: 'Heartbeat recorded',
+      job: formatJobResponse(result.job)
+    });
+  } catch (error) {
+    logger.error('Failed to record job heartbeat:', error);
+    res.status(500).json({ error: 'Failed to record job heartbeat' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/bulk:
+ *   post:
+ *     summary: Bulk operations on jobs
+ *     description: With an Idempotency-Key, resending the same operations returns the original response (with Idempotent-Replayed true) instead of running them again. Creates may be reordered; updates and deletes must keep their order. Reusing the key with different operations is rejected before any operation runs.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Bulk operations completed
+ *       409:
+ *         description: A request with the same Idempotency-Key is still in flight (IDEMPOTENCY_KEY_IN_USE)
+ *       422:
+ *         description: Idempotency-Key already used with different operations (IDEMPOTENCY_KEY_MISMATCH)
+ */
+router.post('/bulk', validate(bulkOperationsSchema), async (req, res) => {
+  let bulkClaim = null;
+  try {
+    const db = database.getConnection();
+    const { operations } = req.body;
+    const actor = getActor(req);
+    const results = [];
+    
+    const idempotencyKey = req.get('Idempotency-Key');
+    const keyError = idempotencyKey === undefined ? null : checkIdempotencyKey(idempotencyKey);
+    if (keyError) {
+      return res.status(400).json({
+        error: `Idempotency-Key ${keyError}`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+    
+    if (idempotencyKey !== undefined) {
+      const outcome = await idempotency.begin({
+        actor,
+        scope: 'jobs:bulk',
+        key: idempotencyKey,
+        body: getBulkRequestBody(operations)
+      });
+      if (outcome.error) {
+        return res.status(outcome.error.status).json(outcome.error.body);
+      }
+      if (outcome.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(outcome.replay.status).json(outcome.replay.body);
+      }
+      bulkClaim = outcome.claim;
+    }
+    
+    for (const op of operations) {
+      try {
+        switch (op.operation) {
+          case 'create':
+            results.push(await createBulkJob(op.data, actor));
+            break;
+            
+          case 'update':
+            const [existingJob] = await db('jobs').where('id', op.data.id).select('*');
+            if (!existingJob) {
+              results.push({ operation: 'update', success: false, error: 'Job not found' });
+              break;
+            }
+            
+            if (!jobStatus.canTransition(existingJob.status, op.data.status)) {
+              results.push({
+                operation: 'update',
+                success: false,
+                ...formatTransitionError(existingJob.status, op.data.status)
+              });
+              break;
+            }
+            
+            const { parentId: updateParentId, dependsOn: updateDependsOn, ...updateBody } = op.data;
+            const updateFields = toJobColumns(updateBody);
+            if (updateParentId !== undefined && updateParentId !== existingJob.parent_id) {
+              const updateParentError = await checkParent(op.data.id, updateParentId);
+              if (updateParentError) {
+                results.push({ operation: 'update', success: false, ...updateParentError.body });
+                break;
+              }
+              updateFields.parent_id = updateParentId;
+            }
+            
+            const updateDependencies = updateDependsOn ? await planJobDependencies(op.data.id, updateDependsOn) : null;
+            if (updateDependencies && updateDependencies.error) {
+              results.push({ operation: 'update', success: false, ...updateDependencies.error.body });
+              break;
+            }
+            if (updateDependencies) {
+              applyDependencyStatus(updateFields, updateDependencies.plan, existingJob.status);
+            }
+            
+            const updatedAt = new Date();
+            const updateData = applyRetryPolicy(existingJob, {
+              ...updateFields,
+              ...jobStatus.getTransitionTimestamps(existingJob.status, updateFields.status, updatedAt),
+              ...getLeaseRelease(existingJob.status, updateFields.status),
+              ...getAttemptStart(existingJob, updateFields.status),
+              updated_at: updatedAt
+            }, updatedAt);
+            delete updateData.id;
+            
+            let updatedJob = await db.transaction(async (trx) => {
+              const [updated] = await trx('jobs')
+                .where('id', op.data.id)
+                .where('status', existingJob.status)
+                .update(updateData)
+                .returning('*');
+              if (updated && updateDependencies) {
+                await jobGraph.saveDependencies(op.data.id, updateDependencies.plan.edges, trx);
+              }
+              return updated;
+            });
+            if (!updatedJob) {
+              results.push({ operation: 'update', success: false, ...formatStatusConflictError(existingJob.status) });
+              break;
+            }
+              
+            await redis.del(`job:${op.data.id}`);
+            await jobNotifier.notify({
+              mutation: 'updated',
+              job: updatedJob,
+              previousState: existingJob,
+              actor
+            });
+            if (updateDependencies) {
+              updatedJob = await jobNotifier.recheckDependencies(updatedJob, actor);
+            }
+            results.push({ operation: 'update', success: true, job: updatedJob });
+            break;
+            
+          case 'delete':
+            const [jobToDelete] = await db('jobs').where('id', op.data.id).select('*');
+            if (!jobToDelete) {
+              results.push({ operation: 'delete', success: false, error: 'Job not found' });
+              break;
+            }
+            
+            const descendants = await jobHierarchy.listDescendants(op.data.id);
+            if (descendants.length > 0 && op.data.children !== 'cascade') {
+              results.push({ operation: 'delete', success: false, ...formatHasChildrenError(op.data.id, descendants) });
+              break;
+            }
+            
+            const deletedCount = await deleteJobTree(jobToDelete, descendants, actor);
+            results.push({ operation: 'delete', success: true, deletedCount });
+            break;
+        }
+      } catch (error) {
+        if (op.operation === 'create' && op.data.externalId && isUniqueViolation(error)) {
+          results.push({ operation: 'create', success: false, ...formatExternalIdError(op.data.externalId) });
+          continue;
+        }
+        results.push({ 
+          operation: op.operation, 
+          success: false, 
+          error: error.message 
+        });
+      }
+    }
+    
+    const successCount = results.filter(r => r.success).length;
+    logger.info('Bulk operations completed', { 
+      total: operations.length, 
+      successful: successCount 
+    });
+    
+    const body = {
+      message: `Bulk operations completed. ${successCount}/${operations.length} successful.`,
+      results
+    };
+    
+    // The operations have run, so the response is kept even when some of them failed
+    if (bulkClaim) {
+      await idempotency.complete(bulkClaim, { status: 200, body })
+        .catch(storeError => logger.error('Failed to store idempotency key:', storeError));
+    }
+    
+    res.json(body);
+  } catch (error) {
+    if (bulkClaim) {
+      await idempotency.release(bulkClaim)
+        .catch(releaseError => logger.error('Failed to release idempotency key:', releaseError));
+    }
+    logger.error('Failed to execute bulk operations:', error);
+    res.status(500).json({ error: 'Failed to execute bulk operations' });
+  }
+});
+
+/**
+ * Stream job events to an SSE client, replaying missed events first when resuming
+ */
+async function streamJobEvents(req, res, { jobId = null, matches = () => true, lastEventId = null, snapshot = null }) {
+  let lastSentId = lastEventId || 0;
+  let replaying = true;
+  const buffered = [];
+  
+  const deliver = ({ event, job }) => {
+    if (jobId && event.job_id !== jobId) return;
+    if (event.id <= lastSentId || !matches(job)) return;
+    lastSentId = event.id;
+    stream.send({
+      id: event.id,
+      event: getStreamEventType(event),
+      data: {
+        ...formatEventResponse(event),
+        job: job ? formatJobResponse(job) : null
+      }
+    });
+  };
+  
+  // Subscribe before replaying so nothing published meanwhile is lost
+  const unsubscribe = eventBus.subscribe((message) => {
+    if (replaying) {
+      buffered.push(message);
+    } else {
+      deliver(message);
+    }
+  });
+  
+  const stream = sse.openStream(req, res, { onClose: unsubscribe });
+  
+  try {
+    if (snapshot) {
+      stream.send({ event: 'snapshot', data: { job: formatJobResponse(snapshot) } });
+    }
+    
+    // Page through everything missed, however far behind the client is
+    let cursor = lastEventId;
+    while (cursor !== null && !stream.isClosed()) {
+      const missed = await jobHistory.listSince(cursor, { jobId });
+      const jobIds = [...new Set(missed.map(event => event.job_id))];
+      const db = database.getConnection();
+      const jobs = jobIds.length > 0 ? await db('jobs').whereIn('id', jobIds).select('*') : [];
+      const jobsById = Object.fromEntries(jobs.map(job => [job.id, job]));
+      
+      missed.forEach(event => deliver({ event, job: jobsById[event.job_id] || null }));
+      cursor = missed.length === jobHistory.REPLAY_PAGE_SIZE ? missed[missed.length - 1].id : null;
+    }
+    
+    replaying = false;
+    buffered.splice(0).forEach(deliver);
+  } catch (error) {
+    logger.error('Failed to replay job events:', error);
+    stream.close();
+  }
+}
+
+/**
+ * Map a job event to the SSE event name
+ */
+function getStreamEventType(event) {
+  if (event.action !== 'updated') return event.action;
+  const changes = parseJson(event.changes, {});
+  if (changes.status) return 'status_change';
+  if (changes.progress) return 'progress_update';
+  return 'updated';
+}
+
+/**
+ * Map request fields that are stored under a different column name or format
+ */
+function toJobColumns({ tags, metadata, heartbeatTimeout, retryPolicy, deadlineAt, maxRuntime, externalId, ...fields }) {
+  if (tags !== undefined) {
+    fields.tags = JSON.stringify(tags);
+  }
+  if (metadata !== undefined) {
+    fields.metadata = JSON.stringify(metadata);
+  }
+  if (heartbeatTimeout !== undefined) {
+    fields.heartbeat_timeout = heartbeatTimeout;
+  }
+  if (retryPolicy !== undefined) {
+    fields.retry_policy = retryPolicy ? JSON.stringify(retryPolicy) : null;
+  }
+  if (deadlineAt !== undefined) {
+    fields.deadline_at = deadlineAt;
+  }
+  if (maxRuntime !== undefined) {
+    fields.max_runtime = maxRuntime;
+  }
+  if (externalId !== undefined) {
+    fields.external_id = externalId;
+  }
+  return fields;
+}
+
+/**
+ * Run a bulk create operation
+ * @returns {Promise<Object>} - Operation result
+ */
+async function createBulkJob(data, actor) {
+  const db = database.getConnection();
+  const { parentId, dependsOn, ...body } = data;
+  const fields = toJobColumns(body);
+  const id = uuidv4();
+  
+  const parentError = await checkParent(null, parentId);
+  if (parentError) {
+    return { operation: 'create', success: false, ...parentError.body };
+  }
+  
+  const externalIdError = await checkExternalId(fields.external_id);
+  if (externalIdError) {
+    return { operation: 'create', success: false, ...externalIdError.body };
+  }
+  
+  const dependencies = dependsOn ? await planJobDependencies(id, dependsOn, { isNew: true }) : null;
+  if (dependencies && dependencies.error) {
+    return { operation: 'create', success: false, ...dependencies.error.body };
+  }
+  if (dependencies) {
+    applyDependencyStatus(fields, dependencies.plan);
+  }
+  
+  const now = new Date();
+  const jobData = {
+    id,
+    ...fields,
+    ...(parentId ? { parent_id: parentId } : {}),
+    ...jobStatus.getTransitionTimestamps(null, fields.status, now),
+    ...getAttemptStart(null, fields.status),
+    created_at: now,
+    updated_at: now
+  };
+  let job = await db.transaction(async (trx) => {
+    const [inserted] = await trx('jobs').insert(jobData).returning('*');
+    if (dependencies) {
+      await jobGraph.saveDependencies(inserted.id, dependencies.plan.edges, trx);
+    }
+    return inserted;
+  });
+  await redis.set(`job:${job.id}`, job, 3600);
+  await jobNotifier.notify({ mutation: 'created', job, actor });
+  if (dependencies) {
+    job = await jobNotifier.recheckDependencies(job, actor);
+  }
+  return { operation: 'create', success: true, job };
+}
+
+/**
+ * Check a requested parent: it must exist and must not be the job or one of its descendants
+ * @returns {Promise<{status: number, body: Object}|null>} - Error response, or null if the parent is valid
+ */
+async function checkParent(jobId, parentId) {
+  if (!parentId) return null;
+  
+  const db = database.getConnection();
+  const [parent] = await db('jobs').where('id', parentId).select('id');
+  if (!parent) {
+    return { status: 400, body: { error: 'Parent job not found' } };
+  }
+  
+  if (jobId && await jobHierarchy.wouldCreateCycle(jobId, parentId)) {
+    return {
+      status: 409,
+      body: {
+        error: 'A job cannot be its own ancestor',
+        code: 'HIERARCHY_CYCLE',
+        details: { jobId, parentId }
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Check that no other job uses a client-supplied externalId
+ * @returns {Promise<{status: number, body: Object}|null>} - Error response, or null if the id is free
+ */
+async function checkExternalId(externalId) {
+  if (!externalId) return null;
+  
+  const db = database.getConnection();
+  const [existing] = await db('jobs').where('external_id', externalId).select('id');
+  return existing ? { status: 409, body: formatExternalIdError(externalId, existing.id) } : null;
+}
+
+/**
+ * Validate a job's dependency list and work out its edges
+ * @returns {Promise<{plan: Object}|{error: {status: number, body: Object}}>}
+ */
+async function planJobDependencies(jobId, dependsOn, { isNew = false } = {}) {
+  const missing = await jobGraph.findMissing(dependsOn);
+  if (missing.length > 0) {
+    return { error: { status: 400, body: { error: 'Dependency jobs not found', details: { missing } } } };
+  }
+  
+  // Nothing depends on a job that is being created, so only existing jobs can close a cycle
+  const cycle = isNew ? null : await jobGraph.detectCycle(jobId, dependsOn);
+  if (cycle) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'Dependencies would create a cycle',
+          code: 'DEPENDENCY_CYCLE',
+          details: { cycle }
+        }
+      }
+    };
+  }
+  
+  return { plan: await jobGraph.planDependencies(jobId, dependsOn) };
+}
+
+/**
+ * Apply the status implied by a job's dependencies to the fields being written.
+ * Jobs that have started keep their status.
+ */
+function applyDependencyStatus(fields, plan, currentStatus = null) {
+  const target = fields.status || currentStatus;
+  const notStarted = currentStatus === null || target === 'pending' || target === 'blocked';
+  if (!notStarted) return;
+  
+  if (plan.status !== 'pending') {
+    fields.status = plan.status;
+    if (plan.error) fields.error = plan.error;
+  } else if (target === 'blocked') {
+    fields.status = 'pending';
+  }
+}
+
+/**
+ * Delete a job and the given descendants, parents first so that no roll-up
+ * runs against a parent that is about to be removed
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+async function deleteJobTree(job, descendants, actor) {
+  const db = database.getConnection();
+  let deletedCount = 0;
+  
+  for (const row of [job, ...descendants]) {
+    const deleted = await db('jobs').where('id', row.id).del();
+    if (deleted === 0) continue;
+    deletedCount += deleted;
+    
+    await redis.del(`job:${row.id}`);
+    await jobNotifier.notify({
+      mutation: 'deleted',
+      job: row,
+      previousState: row,
+      actor
+    });
+  }
+  
+  return deletedCount;
+}
+
+/**
+ * Format a delete blocked by child jobs as an API error body
+ */
+function formatHasChildrenError(jobId, descendants) {
+  return {
+    error: 'Job has child jobs. Delete them first or pass children=cascade',
+    code: 'HAS_CHILDREN',
+    details: {
+      childCount: descendants.filter(row => row.parent_id === jobId).length,
+      descendantCount: descendants.length
+    }
+  };
+}
+
+/**
+ * Format a rejected status transition as an API error body
+ */
+function formatTransitionError(from, to) {
+  const error = new jobStatus.InvalidTransitionError(from, to);
+  return {
+    error: error.message,
+    code: error.code,
+    details: {
+      currentStatus: from,
+      requestedStatus: to,
+      allowedTransitions: error.allowedTransitions
+    }
+  };
+}
+
+/**
+ * Format an update lost to a concurrent status change as an API error body
+ */
+function formatStatusConflictError(expectedStatus) {
+  return {
+    error: 'Job status changed while the update was in progress. Re-read the job and retry',
+    code: 'STATUS_CONFLICT',
+    details: {
+      expectedStatus
+    }
+  };
+}
+
+/**
+ * Format a create rejected for a duplicate externalId as an API error body
+ */
+function formatExternalIdError(externalId, jobId = null) {
+  return {
+    error: 'A job with this externalId already exists',
+    code: 'EXTERNAL_ID_CONFLICT',
+    details: {
+      externalId,
+      jobId
+    }
+  };
+}
+
+/**
+ * Format a rejected heartbeat as an API error body
+ */
+function formatLeaseError(reason, job) {
+  return {
+    error: reason === 'not_running' ? 'Job is not running' : 'Job is leased to another worker',
+    code: reason === 'not_running' ? 'NOT_RUNNING' : 'LEASE_NOT_HELD',
+    details: {
+      status: job.status,
+      leaseOwner: job.lease_owner || null
+    }
+  };
 }
 
 /**
@@ -454,13 +1558,90 @@ function formatJobResponse(job) {
     description: job.description,
     status: job.status,
     progress: job.progress,
-    tags: job.tags || [],
-    metadata: job.metadata || {},
+    tags: parseJson(job.tags, []),
+    metadata: parseJson(job.metadata, {}),
     ttl: job.ttl,
     error: job.error,
     createdAt: job.created_at,
     updatedAt: job.updated_at,
-    completedAt: job.completed_at
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    failedAt: job.failed_at,
+    cancelledAt: job.cancelled_at,
+    parentId: job.parent_id || null,
+    scheduleId: job.schedule_id || null,
+    externalId: job.external_id || null,
+    rollup: job.rollup || null,
+    weight: job.weight !== undefined && job.weight !== null ? Number(job.weight) : 1,
+    heartbeatTimeout: job.heartbeat_timeout || null,
+    attempt: job.attempt || 0,
+    maxAttempts: parseRetryPolicy(job.retry_policy).maxAttempts,
+    retryPolicy: parseJson(job.retry_policy, null),
+    retryAt: job.retry_at || null,
+    lastHeartbeatAt: job.last_heartbeat_at || null,
+    deadlineAt: job.deadline_at || null,
+    maxRuntime: job.max_runtime || null,
+    remainingSeconds: getRemainingSeconds(job),
+    lease: job.lease_owner ? {
+      owner: job.lease_owner,
+      expiresAt: job.lease_expires_at || null
+    } : null
+  };
+}
+
+/**
+ * Format dependency graph node for API
+ */
+function formatGraphNode(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    progress: job.progress
+  };
+}
+
+/**
+ * Format dependency graph edge for API; from must complete before to can run
+ */
+function formatGraphEdge(edge) {
+  return {
+    from: edge.depends_on_id,
+    to: edge.job_id,
+    state: edge.state,
+    resolvedAt: edge.resolved_at
+  };
+}
+
+/**
+ * Format job attempt response for API
+ */
+function formatAttemptResponse(attempt) {
+  const startedAt = attempt.started_at ? new Date(attempt.started_at) : null;
+  const finishedAt = attempt.finished_at ? new Date(attempt.finished_at) : null;
+  
+  return {
+    attempt: attempt.attempt,
+    status: attempt.status,
+    worker: attempt.worker || null,
+    error: attempt.error || null,
+    startedAt: attempt.started_at,
+    finishedAt: attempt.finished_at || null,
+    durationMs: startedAt && finishedAt ? finishedAt - startedAt : null
+  };
+}
+
+/**
+ * Format job event response for API
+ */
+function formatEventResponse(event) {
+  return {
+    id: event.id,
+    jobId: event.job_id,
+    action: event.action,
+    changes: parseJson(event.changes, {}),
+    actor: event.actor,
+    createdAt: event.created_at
   };
 }
 
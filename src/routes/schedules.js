@@ -0,0 +1,376 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const scheduler = require('../services/scheduler');
+const { parseJson } = require('../utils/json');
+const { getActor } = require('../middleware/auth');
+const { validate, scheduleSchema } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   post:
+ *     summary: Create a job schedule
+ *     description: Creates a job from jobTemplate every time the cron expression matches in the schedule's timezone. Each created job links back to the schedule through scheduleId.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Schedule'
+ *     responses:
+ *       201:
+ *         description: Schedule created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', validate(scheduleSchema), async (req, res) => {
+  try {
+    const { name, cron, timezone, jobTemplate, isPaused } = req.body;
+    const db = database.getConnection();
+
+    const now = new Date();
+    const scheduleData = {
+      id: uuidv4(),
+      name,
+      cron_expression: cron,
+      timezone,
+      job_template: JSON.stringify(jobTemplate),
+      is_paused: isPaused,
+      created_at: now,
+      updated_at: now
+    };
+
+    const [schedule] = await db('job_schedules').insert(scheduleData).returning('*');
+    scheduler.sync(schedule);
+
+    logger.info('Schedule created', { scheduleId: schedule.id, cron });
+
+    res.status(201).json({
+      message: 'Schedule created successfully',
+      schedule: formatScheduleResponse(schedule)
+    });
+  } catch (error) {
+    logger.error('Failed to create schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   get:
+ *     summary: List job schedules
+ *     tags: [Schedules]
+ *     responses:
+ *       200:
+ *         description: List of schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const db = database.getConnection();
+    const schedules = await db('job_schedules')
+      .select('*')
+      .orderBy('created_at', 'desc');
+
+    res.json({
+      schedules: schedules.map(formatScheduleResponse)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   get:
+ *     summary: Get schedule details
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule details
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const [schedule] = await db('job_schedules').where('id', id).select('*');
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({
+      schedule: formatScheduleResponse(schedule)
+    });
+  } catch (error) {
+    logger.error('Failed to fetch schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   put:
+ *     summary: Update schedule
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Schedule'
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       404:
+ *         description: Schedule not found
+ */
+router.put('/:id', validate(scheduleSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, cron, timezone, jobTemplate, isPaused } = req.body;
+    const db = database.getConnection();
+
+    const [updatedSchedule] = await db('job_schedules')
+      .where('id', id)
+      .update({
+        name,
+        cron_expression: cron,
+        timezone,
+        job_template: JSON.stringify(jobTemplate),
+        is_paused: isPaused,
+        updated_at: new Date()
+      })
+      .returning('*');
+
+    if (!updatedSchedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    scheduler.sync(updatedSchedule);
+
+    logger.info('Schedule updated', { scheduleId: id, cron });
+
+    res.json({
+      message: 'Schedule updated successfully',
+      schedule: formatScheduleResponse(updatedSchedule)
+    });
+  } catch (error) {
+    logger.error('Failed to update schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   delete:
+ *     summary: Delete schedule
+ *     description: Jobs the schedule already created are kept.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule deleted successfully
+ *       404:
+ *         description: Schedule not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const deletedCount = await db('job_schedules').where('id', id).del();
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    scheduler.unregister(id);
+
+    logger.info('Schedule deleted', { scheduleId: id });
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    logger.error('Failed to delete schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/pause:
+ *   post:
+ *     summary: Pause a schedule
+ *     description: No jobs are created while a schedule is paused. Runs missed while paused are not made up on resume.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule paused
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/:id/pause', async (req, res) => {
+  await setPaused(req, res, true);
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/resume:
+ *   post:
+ *     summary: Resume a paused schedule
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Schedule resumed
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/:id/resume', async (req, res) => {
+  await setPaused(req, res, false);
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/trigger:
+ *   post:
+ *     summary: Create the schedule's job now
+ *     description: Runs the schedule once, outside its cron expression. Works on paused schedules and does not affect the next scheduled run.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Job created from the schedule's template
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/:id/trigger', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const [schedule] = await db('job_schedules').where('id', id).select('*');
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const job = await scheduler.materialize(schedule, getActor(req));
+
+    res.status(201).json({
+      message: 'Schedule triggered successfully',
+      job: {
+        id: job.id,
+        name: job.name,
+        status: job.status,
+        scheduleId: job.schedule_id,
+        createdAt: job.created_at
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to trigger schedule:', error);
+    res.status(500).json({ error: 'Failed to trigger schedule' });
+  }
+});
+
+/**
+ * Pause or resume a schedule
+ */
+async function setPaused(req, res, isPaused) {
+  const action = isPaused ? 'pause' : 'resume';
+
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+
+    const [updatedSchedule] = await db('job_schedules')
+      .where('id', id)
+      .update({ is_paused: isPaused, updated_at: new Date() })
+      .returning('*');
+
+    if (!updatedSchedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    scheduler.sync(updatedSchedule);
+
+    logger.info(`Schedule ${isPaused ? 'paused' : 'resumed'}`, { scheduleId: id });
+
+    res.json({
+      message: `Schedule ${isPaused ? 'paused' : 'resumed'} successfully`,
+      schedule: formatScheduleResponse(updatedSchedule)
+    });
+  } catch (error) {
+    logger.error(`Failed to ${action} schedule:`, error);
+    res.status(500).json({ error: `Failed to ${action} schedule` });
+  }
+}
+
+/**
+ * Format schedule response for API
+ */
+function formatScheduleResponse(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cron: schedule.cron_expression,
+    timezone: schedule.timezone,
+    jobTemplate: parseJson(schedule.job_template, {}),
+    isPaused: Boolean(schedule.is_paused),
+    lastRunAt: schedule.last_run_at || null,
+    lastJobId: schedule.last_job_id || null,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+  };
+}
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const database = require('../config/database');
 const { validate, tagQuerySchema } = require('../middleware/validation');
+const { parseJson } = require('../utils/json');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -93,7 +94,7 @@ router.get('/', validate(tagQuerySchema, 'query'), async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, running, completed, failed, cancelled]
+ *           enum: [blocked, pending, running, completed, failed, cancelled]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -317,8 +318,8 @@ function formatJobResponse(job) {
     description: job.description,
     status: job.status,
     progress: job.progress,
-    tags: job.tags || [],
-    metadata: job.metadata || {},
+    tags: parseJson(job.tags, []),
+    metadata: parseJson(job.metadata, {}),
     ttl: job.ttl,
     error: job.error,
     createdAt: job.created_at,
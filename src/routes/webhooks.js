@@ -1,8 +1,17 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const database = require('../config/database');
-const { validate, webhookSchema } = require('../middleware/validation');
+const { validate, webhookSchema, rotateSecretSchema, webhookReplayQuerySchema, webhookStatsQuerySchema } = require('../middleware/validation');
 const webhookManager = require('../utils/webhook');
+const webhookDelivery = require('../services/webhookDelivery');
+const webhookStats = require('../services/webhookStats');
+const webhookSignature = require('../utils/webhookSignature');
+const circuitBreaker = require('../utils/circuitBreaker');
+const { renderPayload } = require('../utils/webhookFormats');
+const { TemplateRenderError } = require('../utils/webhookTemplates');
+const { getBatchSettings } = require('../utils/webhookBatching');
+const { parseDuration } = require('../utils/duration');
+const { parseJson } = require('../utils/json');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,26 +30,34 @@ const router = express.Router();
  *             $ref: '#/components/schemas/Webhook'
  *     responses:
  *       201:
- *         description: Webhook registered successfully
+ *         description: Webhook registered successfully. The signing secret is only returned here and on rotation.
  *       400:
  *         description: Validation error
  */
 router.post('/', validate(webhookSchema), async (req, res) => {
   try {
-    const { url, events, headers, isActive } = req.body;
+    const { url, events, headers, isActive, filters, format, template, deliveryMode, batchSize, batchWindow } = req.body;
     
-    // Validate webhook URL
-    if (!webhookManager.validateWebhookUrl(url)) {
-      return res.status(400).json({ error: 'Invalid webhook URL' });
+    // Validate webhook URL, including where its host resolves to
+    const urlError = await webhookManager.checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: 'Invalid webhook URL', details: urlError });
     }
     
     const db = database.getConnection();
     const webhookData = {
       id: uuidv4(),
       url,
-      events,
-      headers: headers || {},
+      events: JSON.stringify(events),
+      headers: JSON.stringify(headers || {}),
       is_active: isActive !== undefined ? isActive : true,
+      filters: JSON.stringify(filters || {}),
+      format,
+      template: template ? JSON.stringify(template) : null,
+      delivery_mode: deliveryMode,
+      batch_size: batchSize || null,
+      batch_window: parseDuration(batchWindow),
+      secret: webhookSignature.generateSecret(),
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -51,7 +68,10 @@ router.post('/', validate(webhookSchema), async (req, res) => {
     
     res.status(201).json({
       message: 'Webhook registered successfully',
-      webhook: formatWebhookResponse(webhook)
+      webhook: {
+        ...formatWebhookResponse(webhook),
+        secret: webhook.secret
+      }
     });
   } catch (error) {
     logger.error('Failed to register webhook:', error);
@@ -85,6 +105,35 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/webhooks/stats:
+ *   get:
+ *     summary: Delivery statistics for every webhook
+ *     description: Success rate, latency percentiles, status codes, retries and last error per webhook, least healthy first, plus fleet-wide totals.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [1h, 24h, 7d]
+ *           default: 24h
+ *     responses:
+ *       200:
+ *         description: Fleet-wide delivery statistics
+ */
+router.get('/stats', validate(webhookStatsQuerySchema, 'query'), async (req, res) => {
+  try {
+    const stats = await webhookStats.getFleetStats(req.query.window);
+    
+    res.json(stats);
+  } catch (error) {
+    logger.error('Failed to fetch webhook stats:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook stats' });
+  }
+});
+
 /**
  * @swagger
  * /api/webhooks/{id}:
@@ -115,8 +164,16 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Webhook not found' });
     }
     
+    const [buffered] = await db('webhook_deliveries')
+      .where('webhook_id', id)
+      .where('status', 'buffered')
+      .count('* as count');
+    
+    const response = formatWebhookResponse(webhook);
+    response.batching.bufferedEvents = parseInt(buffered.count);
+    
     res.json({
-      webhook: formatWebhookResponse(webhook)
+      webhook: response
     });
   } catch (error) {
     logger.error('Failed to fetch webhook:', error);
@@ -152,11 +209,12 @@ router.get('/:id', async (req, res) => {
 router.put('/:id', validate(webhookSchema), async (req, res) => {
   try {
     const { id } = req.params;
-    const { url, events, headers, isActive } = req.body;
+    const { url, events, headers, isActive, filters, format, template, deliveryMode, batchSize, batchWindow } = req.body;
     
-    // Validate webhook URL
-    if (!webhookManager.validateWebhookUrl(url)) {
-      return res.status(400).json({ error: 'Invalid webhook URL' });
+    // Validate webhook URL, including where its host resolves to
+    const urlError = await webhookManager.checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: 'Invalid webhook URL', details: urlError });
     }
     
     const db = database.getConnection();
@@ -169,12 +227,23 @@ router.put('/:id', validate(webhookSchema), async (req, res) => {
     
     const updateData = {
       url,
-      events,
-      headers: headers || {},
+      events: JSON.stringify(events),
+      headers: JSON.stringify(headers || {}),
       is_active: isActive !== undefined ? isActive : true,
+      filters: JSON.stringify(filters || {}),
+      format,
+      template: template ? JSON.stringify(template) : null,
+      delivery_mode: deliveryMode,
+      batch_size: batchSize || null,
+      batch_window: parseDuration(batchWindow),
       updated_at: new Date()
     };
     
+    // Re-enabling a webhook, or pointing it at a new URL, starts the breaker afresh
+    if ((updateData.is_active && !existingWebhook.is_active) || url !== existingWebhook.url) {
+      Object.assign(updateData, circuitBreaker.resetBreaker());
+    }
+    
     const [updatedWebhook] = await db('webhooks')
       .where('id', id)
       .update(updateData)
@@ -272,12 +341,34 @@ router.post('/:id/test', async (req, res) => {
       }
     };
     
-    // Send test webhook
-    const success = await webhookManager.sendWebhook(
+    // Send test webhook directly, bypassing the delivery queue, rendered like a real delivery
+    let rendered;
+    try {
+      rendered = renderPayload(webhook.format, testPayload, {
+        id: uuidv4(),
+        template: parseJson(webhook.template, null)
+      });
+    } catch (error) {
+      if (!(error instanceof TemplateRenderError)) throw error;
+      return res.json({
+        message: 'Webhook test completed',
+        success: false,
+        statusCode: null,
+        error: error.message,
+        durationMs: 0,
+        payload: null
+      });
+    }
+    const result = await webhookManager.sendWebhook(
       webhook.url,
-      testPayload,
-      webhook.headers
+      rendered.body,
+      parseJson(webhook.headers, {}),
+      {
+        secrets: webhookSignature.getActiveSecrets(webhook),
+        extraHeaders: { ...rendered.headers, 'X-Webhook-Event': 'test' }
+      }
     );
+    const { success } = result;
     
     // Update last triggered timestamp
     if (success) {
@@ -297,7 +388,10 @@ router.post('/:id/test', async (req, res) => {
     res.json({
       message: 'Webhook test completed',
       success,
-      payload: testPayload
+      statusCode: result.statusCode,
+      error: result.error,
+      durationMs: result.durationMs,
+      payload: rendered.body
     });
   } catch (error) {
     logger.error('Failed to test webhook:', error);
@@ -305,6 +399,119 @@ router.post('/:id/test', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate the webhook signing secret
+ *     description: Generates a new secret. The old secret keeps signing deliveries (as a second v1 signature) until the grace period ends.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriod:
+ *                 type: string
+ *                 description: How long the old secret stays valid, e.g. 1h or 24h
+ *     responses:
+ *       200:
+ *         description: Secret rotated, the new secret is returned
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', validate(rotateSecretSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+    
+    const [webhook] = await db('webhooks').where('id', id).select('*');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const gracePeriod = parseDuration(req.body.gracePeriod) ??
+      (parseInt(process.env.WEBHOOK_SECRET_GRACE_PERIOD) || 24 * 60 * 60 * 1000);
+    const now = new Date();
+    
+    const [updatedWebhook] = await db('webhooks')
+      .where('id', id)
+      .update({
+        secret: webhookSignature.generateSecret(),
+        previous_secret: webhook.secret,
+        previous_secret_expires_at: webhook.secret ? new Date(now.getTime() + gracePeriod) : null,
+        secret_rotated_at: now,
+        updated_at: now
+      })
+      .returning('*');
+    
+    logger.info('Webhook secret rotated', { webhookId: id, gracePeriodMs: gracePeriod });
+    
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      webhook: {
+        ...formatWebhookResponse(updatedWebhook),
+        secret: updatedWebhook.secret
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to rotate webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/stats:
+ *   get:
+ *     summary: Delivery statistics for a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [1h, 24h, 7d]
+ *           default: 24h
+ *     responses:
+ *       200:
+ *         description: Delivery statistics
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/stats', validate(webhookStatsQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = database.getConnection();
+    
+    const [webhook] = await db('webhooks').where('id', id).select('id');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const stats = await webhookStats.getWebhookStats(id, req.query.window);
+    
+    res.json(stats);
+  } catch (error) {
+    logger.error('Failed to fetch webhook stats:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook stats' });
+  }
+});
+
 /**
  * @swagger
  * /api/webhooks/{id}/deliveries:
@@ -372,18 +579,253 @@ router.get('/:id/deliveries', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a webhook delivery with its attempts
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Delivery details and attempt history
+ *       404:
+ *         description: Delivery not found
+ */
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+    const db = database.getConnection();
+    
+    const [delivery] = await db('webhook_deliveries')
+      .where({ id: deliveryId, webhook_id: id })
+      .select('*');
+    
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const attempts = await db('webhook_delivery_attempts')
+      .where('delivery_id', deliveryId)
+      .orderBy('attempt', 'asc');
+    
+    res.json({
+      delivery: {
+        ...formatDeliveryResponse(delivery),
+        attempts: attempts.map(formatAttemptResponse)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Redeliver a stored webhook payload
+ *     description: Queues the original payload again as a new delivery linked to the original.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Redelivery queued
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Webhook is inactive
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+    const db = database.getConnection();
+    
+    const [webhook] = await db('webhooks').where('id', id).select('*');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    if (!webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is inactive' });
+    }
+    
+    const [delivery] = await db('webhook_deliveries')
+      .where({ id: deliveryId, webhook_id: id })
+      .select('*');
+    
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    const [redelivery] = await webhookDelivery.redeliver([delivery]);
+    
+    logger.info('Webhook redelivery queued', { webhookId: id, deliveryId, redeliveryId: redelivery.id });
+    
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery: formatDeliveryResponse(redelivery)
+    });
+  } catch (error) {
+    logger.error('Failed to redeliver webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/replay:
+ *   post:
+ *     summary: Replay stored webhook deliveries
+ *     description: Re-sends every delivered or failed original delivery in the time range, oldest first, e.g. after a receiver outage. A re-sent delivery that fails is retried with backoff without holding back later ones, so ordering is only guaranteed while the receiver accepts them.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: since
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 500
+ *     responses:
+ *       202:
+ *         description: Replay queued
+ *       404:
+ *         description: Webhook not found
+ *       409:
+ *         description: Webhook is inactive
+ */
+router.post('/:id/replay', validate(webhookReplayQuerySchema, 'query'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { since, until, eventType, limit } = req.query;
+    const db = database.getConnection();
+    
+    const [webhook] = await db('webhooks').where('id', id).select('*');
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    if (!webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is inactive' });
+    }
+    
+    // Only finished originals: earlier redeliveries would be sent twice, and
+    // pending or sending ones are still on their way. Events that went out
+    // inside a batch are replayed as that batch.
+    let query = db('webhook_deliveries')
+      .where('webhook_id', id)
+      .whereNull('original_delivery_id')
+      .whereIn('status', ['delivered', 'failed'])
+      .where('created_at', '>=', since);
+    
+    if (until) query = query.where('created_at', '<=', until);
+    if (eventType) query = query.where('event_type', eventType);
+    
+    const deliveries = await query
+      .orderBy('created_at', 'asc')
+      .limit(limit)
+      .select('*');
+    
+    const redeliveries = await webhookDelivery.redeliver(deliveries);
+    
+    logger.info('Webhook replay queued', { webhookId: id, count: redeliveries.length });
+    
+    res.status(202).json({
+      message: `Replay queued. ${redeliveries.length} deliveries will be re-sent.`,
+      count: redeliveries.length,
+      hasMore: deliveries.length === limit,
+      deliveries: redeliveries.map(formatDeliveryResponse)
+    });
+  } catch (error) {
+    logger.error('Failed to replay webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+  }
+});
+
 /**
  * Format webhook response for API
  */
 function formatWebhookResponse(webhook) {
+  const batching = getBatchSettings(webhook);
+  const batchesSent = webhook.batches_sent || 0;
+  const eventsBatched = webhook.batched_events || 0;
+  
   return {
     id: webhook.id,
     url: webhook.url,
-    events: webhook.events || [],
-    headers: webhook.headers || {},
+    events: parseJson(webhook.events, []),
+    headers: parseJson(webhook.headers, {}),
+    filters: parseJson(webhook.filters, {}),
+    format: webhook.format || 'native',
+    template: parseJson(webhook.template, null),
     isActive: webhook.is_active,
     retryCount: webhook.retry_count || 0,
+    breaker: {
+      state: webhook.breaker_state || 'closed',
+      failureStreak: webhook.retry_count || 0,
+      openedAt: webhook.breaker_opened_at,
+      nextProbeAt: webhook.next_probe_at
+    },
+    deliveryMode: batching.mode,
+    batching: {
+      batchSize: batching.size,
+      batchWindow: batching.window,
+      batchesSent,
+      eventsBatched,
+      eventsCollapsed: webhook.collapsed_events || 0,
+      averageBatchSize: batchesSent > 0 ? Math.round((eventsBatched / batchesSent) * 100) / 100 : null,
+      lastBatchAt: webhook.last_batch_at
+    },
+    disabledAt: webhook.disabled_at,
+    disabledReason: webhook.disabled_reason,
     lastTriggered: webhook.last_triggered,
+    secretRotatedAt: webhook.secret_rotated_at,
+    previousSecretExpiresAt: webhook.previous_secret_expires_at,
     createdAt: webhook.created_at,
     updatedAt: webhook.updated_at
   };
@@ -398,14 +840,32 @@ function formatDeliveryResponse(delivery) {
     webhookId: delivery.webhook_id,
     jobId: delivery.job_id,
     eventType: delivery.event_type,
-    payload: delivery.payload,
+    payload: parseJson(delivery.payload, delivery.payload),
+    status: delivery.status,
     statusCode: delivery.status_code,
     responseBody: delivery.response_body,
     errorMessage: delivery.error_message,
     retryCount: delivery.retry_count,
+    originalDeliveryId: delivery.original_delivery_id,
+    batchId: delivery.batch_id,
+    nextAttemptAt: delivery.next_attempt_at,
     deliveredAt: delivery.delivered_at,
     createdAt: delivery.created_at
   };
 }
 
+/**
+ * Format delivery attempt response for API
+ */
+function formatAttemptResponse(attempt) {
+  return {
+    attempt: attempt.attempt,
+    statusCode: attempt.status_code,
+    responseBody: attempt.response_body,
+    errorMessage: attempt.error_message,
+    durationMs: attempt.duration_ms,
+    createdAt: attempt.created_at
+  };
+}
+
 module.exports = router;
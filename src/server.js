@@ -15,12 +15,17 @@ const database = require('./config/database');
 const redis = require('./config/redis');
 const auth = require('./middleware/auth');
 const cleanupService = require('./services/cleanup');
+const eventBus = require('./services/eventBus');
+const webhookDelivery = require('./services/webhookDelivery');
+const scheduler = require('./services/scheduler');
 const { swaggerOptions } = require('./config/swagger');
 
 // Import routes
 const jobsRouter = require('./routes/jobs');
 const webhooksRouter = require('./routes/webhooks');
 const tagsRouter = require('./routes/tags');
+const schedulesRouter = require('./routes/schedules');
+const alertsRouter = require('./routes/alerts');
 const healthRouter = require('./routes/health');
 
 const app = express();
@@ -64,6 +69,8 @@ app.use('/health', healthRouter);
 app.use('/api/jobs', auth.authenticate, jobsRouter);
 app.use('/api/webhooks', auth.authenticate, webhooksRouter);
 app.use('/api/tags', auth.authenticate, tagsRouter);
+app.use('/api/schedules', auth.authenticate, schedulesRouter);
+app.use('/api/alerts', auth.authenticate, alertsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -93,6 +100,8 @@ app.use((err, req, res, next) => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   cleanupService.stop();
+  webhookDelivery.stop();
+  scheduler.stop();
   await database.close();
   await redis.quit();
   process.exit(0);
@@ -101,6 +110,8 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   cleanupService.stop();
+  webhookDelivery.stop();
+  scheduler.stop();
   await database.close();
   await redis.quit();
   process.exit(0);
@@ -121,10 +132,19 @@ async function startServer() {
       logger.warn('Redis initialization failed, continuing without Redis:', error.message);
     }
 
+    // Fan job events out across replicas (in-process only without Redis)
+    await eventBus.start();
+
     // Start cleanup service
     cleanupService.start();
     logger.info('Cleanup service started');
 
+    // Start webhook delivery worker
+    webhookDelivery.start();
+
+    // Start creating jobs from schedules
+    await scheduler.start();
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
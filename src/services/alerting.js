@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const webhookDelivery = require('./webhookDelivery');
+const webhookManager = require('../utils/webhook');
+const { TERMINAL_STATUSES } = require('../utils/jobStatus');
+const { MAX_ALERT_JOBS, evaluateRule, getAlertTransition } = require('../utils/alertRules');
+const { getFireSlot } = require('../utils/cronSchedule');
+const { globToLike } = require('../utils/jobLease');
+const { parseJson, jsonContains } = require('../utils/json');
+const logger = require('../utils/logger');
+
+/**
+ * Narrow a job query by a rule's filters; the SQL counterpart of matchesFilters
+ * @param {Object} query - Knex query on jobs
+ * @param {Object} filters - Rule filters
+ * @returns {Object} - The query
+ */
+const applyFilters = (query, filters) => {
+  const { tags, namePattern, metadata, statuses } = parseJson(filters, {}) || {};
+
+  if (Array.isArray(statuses) && statuses.length > 0) {
+    query.whereIn('status', statuses);
+  }
+  if (Array.isArray(tags) && tags.length > 0) {
+    query.whereRaw(...jsonContains('tags', tags));
+  }
+  if (namePattern) {
+    query.where('name', 'like', globToLike(namePattern).replace(/\?/g, '_'));
+  }
+  // Metadata filter values are scalars, so containment is per-key equality
+  if (metadata && Object.keys(metadata).length > 0) {
+    query.whereRaw(...jsonContains('metadata', metadata));
+  }
+  return query;
+};
+
+/**
+ * Count the jobs a rule looks at, and pick the ones to show on its alert
+ * @param {Object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<{count: number, jobIds: string[]}>}
+ */
+const selectJobs = async (rule, now) => {
+  const db = database.getConnection();
+  const since = new Date(now.getTime() - Number(rule.window_ms));
+
+  let query;
+  let order;
+  switch (rule.type) {
+    case 'max_duration':
+      query = db('jobs')
+        .whereNotIn('status', TERMINAL_STATUSES)
+        .where('created_at', '<=', since);
+      order = ['created_at', 'asc'];
+      break;
+
+    case 'failure_count':
+      query = db('jobs')
+        .where('status', 'failed')
+        .where('failed_at', '>=', since);
+      order = ['failed_at', 'desc'];
+      break;
+
+    case 'absence':
+      query = db('jobs')
+        .where('status', 'completed')
+        .where('completed_at', '>=', since);
+      order = ['completed_at', 'desc'];
+      break;
+
+    default:
+      return { count: 0, jobIds: [] };
+  }
+
+  applyFilters(query, rule.filters);
+
+  const [{ total }] = await query.clone().count('* as total');
+  const jobs = await query
+    .orderBy(...order)
+    .limit(MAX_ALERT_JOBS)
+    .select('id');
+
+  return { count: parseInt(total), jobIds: jobs.map(job => job.id) };
+};
+
+/**
+ * Evaluate one rule and open, refresh or resolve its alert. The rule is claimed
+ * for the current minute first, so replicas sharing the database evaluate it once.
+ * @param {Object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<{eventType: string, alert: Object, rule: Object}|null>} - The
+ *   alert that fired or resolved, or null
+ */
+const evaluate = async (rule, now) => {
+  const db = database.getConnection();
+  const slot = getFireSlot(now);
+
+  const claimed = await db('alert_rules')
+    .where('id', rule.id)
+    .where(run => run.whereNull('last_evaluated_at').orWhere('last_evaluated_at', '<', slot))
+    .update({ last_evaluated_at: slot });
+
+  if (claimed !== 1) return null;
+
+  const [openAlert] = await db('alerts')
+    .where('rule_id', rule.id)
+    .where('status', 'firing')
+    .select('*');
+
+  // A disabled rule resolves whatever it had open
+  const result = rule.is_enabled
+    ? evaluateRule(rule, await selectJobs(rule, now))
+    : { breached: false, value: openAlert ? openAlert.value : 0, jobIds: [], message: `${rule.name}: rule disabled` };
+
+  const transition = getAlertTransition(openAlert || null, result.breached);
+
+  if (transition === 'fire') {
+    const [alert] = await db('alerts')
+      .insert({
+        id: uuidv4(),
+        rule_id: rule.id,
+        status: 'firing',
+        value: result.value,
+        message: result.message,
+        details: JSON.stringify({ jobIds: result.jobIds }),
+        fired_at: now,
+        created_at: now,
+        updated_at: now
+      })
+      .returning('*');
+
+    return { eventType: 'alert_firing', alert, rule };
+  }
+
+  if (transition === 'resolve') {
+    const [alert] = await db('alerts')
+      .where('id', openAlert.id)
+      .where('status', 'firing')
+      .update({
+        status: 'resolved',
+        value: result.value,
+        resolved_at: now,
+        updated_at: now
+      })
+      .returning('*');
+
+    return alert ? { eventType: 'alert_resolved', alert, rule } : null;
+  }
+
+  // Still firing: keep the count and affected jobs current, without notifying again
+  if (openAlert) {
+    await db('alerts')
+      .where('id', openAlert.id)
+      .update({
+        value: result.value,
+        message: result.message,
+        details: JSON.stringify({ jobIds: result.jobIds }),
+        updated_at: now
+      });
+  }
+
+  return null;
+};
+
+/**
+ * Evaluate every alert rule
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object[]>} - Alerts that fired or resolved, see evaluate
+ */
+const evaluateRules = async (now = new Date()) => {
+  const db = database.getConnection();
+  const rules = await db('alert_rules').select('*');
+
+  const changes = [];
+  for (const rule of rules) {
+    try {
+      const change = await evaluate(rule, now);
+      if (change) changes.push(change);
+    } catch (error) {
+      // One broken rule does not stop the others
+      logger.error('Failed to evaluate alert rule:', { ruleId: rule.id, error: error.message });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Deliver an alert event to the webhooks subscribed to it. Job filters on a
+ * webhook do not apply to alerts.
+ * @param {Object} change - From evaluateRules
+ * @param {string} change.eventType - 'alert_firing' or 'alert_resolved'
+ * @param {Object} change.alert - Alert row
+ * @param {Object} change.rule - Rule row
+ */
+const dispatchAlert = async ({ eventType, alert, rule }) => {
+  const db = database.getConnection();
+  const webhooks = await db('webhooks')
+    .where('is_active', true)
+    .select('*');
+
+  const subscribers = webhooks.filter(webhook => parseJson(webhook.events, []).includes(eventType));
+  if (subscribers.length > 0) {
+    const payload = webhookManager.createAlertPayload(alert, eventType, rule);
+    await webhookDelivery.enqueue(subscribers, payload, { eventType });
+  }
+};
+
+module.exports = {
+  evaluateRules,
+  dispatchAlert
+};
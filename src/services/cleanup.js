@@ -1,12 +1,21 @@
 const cron = require('node-cron');
 const database = require('../config/database');
 const redis = require('../config/redis');
+const jobNotifier = require('./jobNotifier');
+const jobQueue = require('./jobQueue');
+const alerting = require('./alerting');
+const idempotency = require('./idempotency');
+const { TERMINAL_STATUSES } = require('../utils/jobStatus');
+const { getTimeout, getTimeoutUpdate } = require('../utils/jobDeadline');
+const { applyRetryPolicy } = require('../utils/jobRetry');
+const { earliestOf, addMilliseconds } = require('../utils/dbTime');
 const logger = require('../utils/logger');
 
 class CleanupService {
   constructor() {
     this.isRunning = false;
     this.cleanupInterval = parseInt(process.env.CLEANUP_INTERVAL) || 3600000; // 1 hour default
+    this.historyRetentionDays = parseInt(process.env.JOB_HISTORY_RETENTION_DAYS) || 30;
   }
 
   /**
@@ -34,6 +43,18 @@ class CleanupService {
       timezone: 'UTC'
     });
 
+    // Release or fail jobs whose worker stopped sending heartbeats, fail jobs
+    // that ran out of time, then check alert rules against the result
+    cron.schedule('* * * * *', async () => { // Every minute
+      await this.releaseExpiredLeases();
+      await this.failStaleJobs();
+      await this.failTimedOutJobs();
+      await this.evaluateAlerts();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
     this.isRunning = true;
     logger.info('Cleanup service started');
   }
@@ -66,6 +87,12 @@ class CleanupService {
       // Cleanup old webhook deliveries
       await this.cleanupOldWebhookDeliveries();
       
+      // Cleanup old job events and attempts
+      await this.cleanupOldJobHistory();
+      
+      // Cleanup expired idempotency keys
+      await this.cleanupExpiredIdempotencyKeys();
+      
       // Cleanup Redis cache
       await this.cleanupRedisCache();
       
@@ -91,7 +118,7 @@ class CleanupService {
         .whereNotNull('ttl')
         .where('ttl', '>', 0)
         .whereRaw('created_at + INTERVAL \'1 millisecond\' * ttl < ?', [now])
-        .select('id', 'name', 'status', 'created_at', 'ttl');
+        .select('*');
       
       if (expiredJobs.length === 0) {
         logger.debug('No expired jobs found');
@@ -107,6 +134,11 @@ class CleanupService {
         await redis.del(`job:${jobId}`);
       }
       
+      // Record history and notify 'expired' subscribers
+      for (const job of expiredJobs) {
+        await jobNotifier.notify({ mutation: 'expired', job, previousState: job, actor: 'system' });
+      }
+      
       logger.info(`Cleaned up ${deletedCount} expired jobs`, {
         expiredJobs: expiredJobs.map(job => ({
           id: job.id,
@@ -120,6 +152,162 @@ class CleanupService {
     }
   }
 
+  /**
+   * Fail jobs past their deadline, and running jobs past their runtime budget
+   */
+  async failTimedOutJobs() {
+    try {
+      const db = database.getConnection();
+      const now = new Date();
+      
+      // Earliest timeouts first; anything past the limit waits for the next sweep
+      const runtimeDeadline = addMilliseconds('started_at', 'max_runtime');
+      const timedOut = await db('jobs')
+        .whereNotIn('status', TERMINAL_STATUSES)
+        .where(query => query
+          .where('deadline_at', '<=', now)
+          .orWhere(runtime => runtime
+            .where('status', 'running')
+            .whereNotNull('max_runtime')
+            .whereRaw(`${runtimeDeadline} <= ?`, [now])))
+        .orderByRaw(earliestOf(['deadline_at', runtimeDeadline]))
+        .limit(jobQueue.SWEEP_LIMIT)
+        .select('*');
+      
+      if (timedOut.length === 0) {
+        logger.debug('No timed out jobs found');
+        return;
+      }
+      
+      const failed = [];
+      for (const job of timedOut) {
+        // Only a run that outlived its budget is retried; a missed deadline is final
+        const update = getTimeout(job).reason === 'runtime'
+          ? applyRetryPolicy(job, getTimeoutUpdate(job, now), now)
+          : getTimeoutUpdate(job, now);
+        
+        // A job that changed status since the select is left for the next sweep
+        const [updatedJob] = await db('jobs')
+          .where('id', job.id)
+          .where('status', job.status)
+          .update(update)
+          .returning('*');
+        
+        if (updatedJob) {
+          failed.push({ job: updatedJob, previousState: job });
+        }
+      }
+      
+      // Fires status_change and failure webhooks like any other failure
+      for (const { job, previousState } of failed) {
+        await redis.del(`job:${job.id}`);
+        await jobNotifier.notify({ mutation: 'updated', job, previousState, actor: 'system' });
+      }
+      
+      if (failed.length > 0) {
+        logger.warn(`Failed ${failed.length} timed out jobs`, {
+          jobs: failed.map(({ job, previousState }) => ({
+            id: job.id,
+            name: job.name,
+            status: job.status,
+            deadlineAt: previousState.deadline_at,
+            maxRuntime: previousState.max_runtime
+          }))
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to sweep timed out jobs:', error);
+    }
+  }
+
+  /**
+   * Requeue or fail running jobs whose worker lease ran out
+   */
+  async releaseExpiredLeases() {
+    try {
+      const released = await jobQueue.expireLeases();
+      
+      if (released.length === 0) {
+        logger.debug('No expired job leases found');
+        return;
+      }
+      
+      for (const { job, previousState } of released) {
+        await redis.del(`job:${job.id}`);
+        await jobNotifier.notify({ mutation: 'updated', job, previousState, actor: 'system' });
+      }
+      
+      logger.info(`Released ${released.length} jobs with expired leases`, {
+        jobs: released.map(({ job, previousState }) => ({
+          id: job.id,
+          name: job.name,
+          leaseOwner: previousState.lease_owner,
+          status: job.status
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to release expired job leases:', error);
+    }
+  }
+
+  /**
+   * Fail running jobs that missed their heartbeat timeout
+   */
+  async failStaleJobs() {
+    try {
+      const failed = await jobQueue.failStaleJobs();
+      
+      if (failed.length === 0) {
+        logger.debug('No stale jobs found');
+        return;
+      }
+      
+      // Fires status_change and failure webhooks like any other failure
+      for (const { job, previousState } of failed) {
+        await redis.del(`job:${job.id}`);
+        await jobNotifier.notify({ mutation: 'updated', job, previousState, actor: 'system' });
+      }
+      
+      logger.warn(`Failed ${failed.length} stale jobs with overdue heartbeats`, {
+        jobs: failed.map(({ job, previousState }) => ({
+          id: job.id,
+          name: job.name,
+          lastHeartbeatAt: previousState.last_heartbeat_at,
+          heartbeatTimeout: previousState.heartbeat_timeout
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to sweep stale jobs:', error);
+    }
+  }
+
+  /**
+   * Evaluate alert rules and notify webhooks of alerts that fired or resolved
+   */
+  async evaluateAlerts() {
+    try {
+      const changes = await alerting.evaluateRules();
+      
+      if (changes.length === 0) {
+        logger.debug('No alert changes');
+        return;
+      }
+      
+      for (const change of changes) {
+        await alerting.dispatchAlert(change);
+        
+        const context = { alertId: change.alert.id, ruleId: change.rule.id, value: change.alert.value };
+        if (change.eventType === 'alert_firing') {
+          logger.warn(`Alert firing: ${change.alert.message}`, context);
+        } else {
+          logger.info(`Alert resolved: ${change.alert.message}`, context);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to evaluate alert rules:', error);
+    }
+  }
+
   /**
    * Cleanup old webhook delivery records
    */
@@ -129,8 +317,13 @@ class CleanupService {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
       
-      // Delete webhook deliveries older than 30 days
+      // Delete finished webhook deliveries, and events already sent in a batch, older than 30 days
       const deletedCount = await db('webhook_deliveries')
+        .where('created_at', '<', thirtyDaysAgo)
+        .whereIn('status', ['delivered', 'failed', 'batched'])
+        .del();
+      
+      await db('webhook_delivery_attempts')
         .where('created_at', '<', thirtyDaysAgo)
         .del();
       
@@ -142,6 +335,48 @@ class CleanupService {
     }
   }
 
+  /**
+   * Cleanup job events and finished attempts older than the retention period,
+   * whether or not the job still exists
+   */
+  async cleanupOldJobHistory() {
+    try {
+      const db = database.getConnection();
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - this.historyRetentionDays);
+      
+      const deletedEvents = await db('job_events')
+        .where('created_at', '<', cutoff)
+        .del();
+      
+      // Attempts still running have no finished_at and are kept
+      const deletedAttempts = await db('job_attempts')
+        .where('finished_at', '<', cutoff)
+        .del();
+      
+      if (deletedEvents > 0 || deletedAttempts > 0) {
+        logger.info(`Cleaned up ${deletedEvents} old job events and ${deletedAttempts} old job attempts`);
+      }
+    } catch (error) {
+      logger.error('Failed to cleanup old job history:', error);
+    }
+  }
+
+  /**
+   * Cleanup idempotency keys stored in the database that have expired
+   */
+  async cleanupExpiredIdempotencyKeys() {
+    try {
+      const deletedCount = await idempotency.deleteExpired();
+      
+      if (deletedCount > 0) {
+        logger.info(`Cleaned up ${deletedCount} expired idempotency keys`);
+      }
+    } catch (error) {
+      logger.error('Failed to cleanup expired idempotency keys:', error);
+    }
+  }
+
   /**
    * Cleanup Redis cache
    */
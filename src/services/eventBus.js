@@ -0,0 +1,98 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+const JOB_EVENT = 'job_event';
+
+/**
+ * Bus for live job events. Listeners receive { event, job } where event is a
+ * job_events row and job the latest job row.
+ *
+ * When Redis is available, events are also fanned out over pub/sub so that
+ * listeners attached to other API replicas see them. Without Redis the bus
+ * stays in-process.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Every open stream is a listener, so there is no sensible cap
+    this.emitter.setMaxListeners(0);
+    this.instanceId = process.env.INSTANCE_ID || uuidv4();
+    this.channel = process.env.JOB_EVENTS_CHANNEL || 'job-status:job-events';
+    this.isDistributed = false;
+  }
+
+  /**
+   * Start receiving events published by other replicas
+   */
+  async start() {
+    if (this.isDistributed) return;
+
+    if (!redis.isReady()) {
+      logger.info('Event bus running in-process only (Redis unavailable)');
+      return;
+    }
+
+    try {
+      await redis.subscribe(this.channel, (envelope) => this.handleRemote(envelope));
+      this.isDistributed = true;
+      logger.info('Event bus subscribed to Redis channel', { channel: this.channel });
+    } catch (error) {
+      logger.warn('Event bus falling back to in-process only:', error.message);
+    }
+  }
+
+  /**
+   * Publish a job event to local listeners and to other replicas
+   * @param {Object} message - { event, job }
+   */
+  publish(message) {
+    this.emitLocal(message);
+
+    if (this.isDistributed && redis.isReady()) {
+      redis.publish(this.channel, { origin: this.instanceId, message });
+    }
+  }
+
+  /**
+   * Handle an event published by any replica, including this one
+   * @param {Object} envelope - { origin, message }
+   */
+  handleRemote(envelope) {
+    if (!envelope || envelope.origin === this.instanceId) return;
+
+    this.emitLocal(envelope.message);
+  }
+
+  /**
+   * Deliver a message to listeners in this process
+   * @param {Object} message - { event, job }
+   */
+  emitLocal(message) {
+    try {
+      this.emitter.emit(JOB_EVENT, message);
+    } catch (error) {
+      logger.error('Failed to publish job event:', error);
+    }
+  }
+
+  /**
+   * Subscribe to job events
+   * @param {Function} listener - Called with each { event, job } message
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.emitter.on(JOB_EVENT, listener);
+    return () => this.emitter.off(JOB_EVENT, listener);
+  }
+
+  /**
+   * Number of active listeners
+   */
+  listenerCount() {
+    return this.emitter.listenerCount(JOB_EVENT);
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,157 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const { getIdempotencySettings, getFingerprint, getStorageKey, resolveExisting } = require('../utils/idempotency');
+const { isUniqueViolation } = require('../utils/dbErrors');
+const { parseJson } = require('../utils/json');
+
+const REDIS_PREFIX = 'idempotency:';
+
+/**
+ * Take a key in Redis, or read the record already holding it
+ * @returns {Promise<Object|null>} - The existing record, or null if the key was taken
+ */
+const takeInRedis = async (storageKey, fingerprint, settings) => {
+  const client = redis.getClient();
+  const redisKey = `${REDIS_PREFIX}${storageKey}`;
+
+  // A record can expire between the two calls; the second pass then takes the key
+  for (let tries = 0; tries < 2; tries++) {
+    const taken = await client.set(redisKey, JSON.stringify({ fingerprint, response: null }), {
+      NX: true,
+      PX: settings.pendingTtl
+    });
+    if (taken === 'OK') return null;
+
+    const existing = await redis.get(redisKey);
+    if (existing) return existing;
+  }
+
+  throw new Error('Could not take idempotency key');
+};
+
+/**
+ * Take a key in the database, or read the record already holding it
+ * @returns {Promise<Object|null>} - The existing record, or null if the key was taken
+ */
+const takeInDatabase = async (storageKey, fingerprint, settings, now) => {
+  const db = database.getConnection();
+
+  for (let tries = 0; tries < 2; tries++) {
+    try {
+      await db('idempotency_keys').insert({
+        key: storageKey,
+        fingerprint,
+        expires_at: new Date(now.getTime() + settings.pendingTtl),
+        created_at: now
+      });
+      return null;
+    } catch (error) {
+      if (!isUniqueViolation(error)) throw error;
+    }
+
+    const [row] = await db('idempotency_keys').where('key', storageKey).select('*');
+    if (row && new Date(row.expires_at) > now) {
+      return {
+        fingerprint: row.fingerprint,
+        response: row.response_status ? { status: row.response_status, body: parseJson(row.response_body, null) } : null
+      };
+    }
+
+    // Expired rows are only swept periodically, so clear this one and try again
+    await db('idempotency_keys')
+      .where('key', storageKey)
+      .where('expires_at', '<=', now)
+      .del();
+  }
+
+  throw new Error('Could not take idempotency key');
+};
+
+/**
+ * Start a request under an idempotency key. Redis holds the keys when it is
+ * connected, the idempotency_keys table otherwise.
+ * @param {Object} request - Request details
+ * @param {string|null} request.actor - Caller
+ * @param {string} request.scope - Operation the key applies to
+ * @param {string} request.key - Client-supplied key
+ * @param {*} request.body - Request body
+ * @param {Date} now - Current time
+ * @returns {Promise<{claim: Object}|{replay: Object}|{error: {status: number, body: Object}}>} -
+ *   claim when the request should run (pass it to complete or release), replay
+ *   with the stored { status, body }, or an error response
+ */
+const begin = async ({ actor, scope, key, body }, now = new Date()) => {
+  const settings = getIdempotencySettings();
+  const storageKey = getStorageKey(actor, scope, key);
+  const fingerprint = getFingerprint(body);
+  const inRedis = redis.isReady();
+
+  const existing = inRedis
+    ? await takeInRedis(storageKey, fingerprint, settings)
+    : await takeInDatabase(storageKey, fingerprint, settings, now);
+
+  if (existing) {
+    return resolveExisting(existing, fingerprint);
+  }
+
+  return { claim: { storageKey, fingerprint, inRedis } };
+};
+
+/**
+ * Store the response of a request that succeeded, for replay until the key expires
+ * @param {Object} claim - From begin
+ * @param {Object} response - { status, body }
+ * @param {Date} now - Current time
+ */
+const complete = async (claim, response, now = new Date()) => {
+  const { ttl } = getIdempotencySettings();
+
+  if (claim.inRedis) {
+    await redis.getClient().set(
+      `${REDIS_PREFIX}${claim.storageKey}`,
+      JSON.stringify({ fingerprint: claim.fingerprint, response }),
+      { PX: ttl }
+    );
+    return;
+  }
+
+  const db = database.getConnection();
+  await db('idempotency_keys')
+    .where('key', claim.storageKey)
+    .update({
+      response_status: response.status,
+      response_body: JSON.stringify(response.body),
+      expires_at: new Date(now.getTime() + ttl)
+    });
+};
+
+/**
+ * Give up a key after the request failed, so it can be retried
+ * @param {Object} claim - From begin
+ */
+const release = async (claim) => {
+  if (claim.inRedis) {
+    await redis.del(`${REDIS_PREFIX}${claim.storageKey}`);
+    return;
+  }
+
+  const db = database.getConnection();
+  await db('idempotency_keys').where('key', claim.storageKey).del();
+};
+
+/**
+ * Delete expired keys from the database; Redis expires its own
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Keys deleted
+ */
+const deleteExpired = async (now = new Date()) => {
+  const db = database.getConnection();
+  return db('idempotency_keys').where('expires_at', '<=', now).del();
+};
+
+module.exports = {
+  begin,
+  complete,
+  release,
+  deleteExpired
+};
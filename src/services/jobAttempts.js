@@ -0,0 +1,70 @@
+const database = require('../config/database');
+const { getAttemptOutcome } = require('../utils/jobRetry');
+const logger = require('../utils/logger');
+
+/**
+ * Record the attempts a job change ended or started
+ * @param {Object|null} previousState - Job row before the change (null on create)
+ * @param {Object} job - Job row after the change
+ * @param {Date} now - Change time
+ */
+const recordTransition = async (previousState, job, now = new Date()) => {
+  try {
+    const db = database.getConnection();
+
+    const outcome = getAttemptOutcome(previousState, job);
+    if (outcome) {
+      await db('job_attempts')
+        .where('job_id', job.id)
+        .where('attempt', previousState.attempt)
+        .where('status', 'running')
+        .update({
+          status: outcome,
+          error: outcome === 'completed' ? null : job.error || null,
+          finished_at: now
+        });
+    }
+
+    const previousAttempt = previousState ? previousState.attempt || 0 : 0;
+    if ((job.attempt || 0) > previousAttempt) {
+      await db('job_attempts').insert({
+        job_id: job.id,
+        attempt: job.attempt,
+        status: 'running',
+        worker: job.lease_owner || null,
+        started_at: job.started_at || now,
+        created_at: now
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to record job attempt:', error);
+  }
+};
+
+/**
+ * List a job's attempts, oldest first
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - Pagination options
+ * @returns {Promise<{attempts: Object[], total: number}>}
+ */
+const list = async (jobId, { limit = 100, offset = 0 } = {}) => {
+  const db = database.getConnection();
+
+  const attempts = await db('job_attempts')
+    .where('job_id', jobId)
+    .orderBy('attempt', 'asc')
+    .limit(limit)
+    .offset(offset)
+    .select('*');
+
+  const [{ total }] = await db('job_attempts')
+    .where('job_id', jobId)
+    .count('* as total');
+
+  return { attempts, total: parseInt(total) };
+};
+
+module.exports = {
+  recordTransition,
+  list
+};
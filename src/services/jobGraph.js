@@ -0,0 +1,223 @@
+const database = require('../config/database');
+const { getEdgeState, deriveDependentStatus, findCycle } = require('../utils/jobDependencies');
+
+// Largest graph GET /api/jobs/:id/graph will walk
+const MAX_GRAPH_NODES = 1000;
+
+/**
+ * Dependency edges leaving a set of jobs
+ * @param {string[]} jobIds - Dependent job identifiers
+ * @returns {Promise<Object[]>}
+ */
+const getDependencies = async (jobIds) => {
+  const db = database.getConnection();
+  return db('job_dependencies').whereIn('job_id', jobIds).select('*');
+};
+
+/**
+ * List the ids in a dependency list that do not exist
+ * @param {string[]} dependsOn - Job identifiers
+ * @returns {Promise<string[]>}
+ */
+const findMissing = async (dependsOn) => {
+  if (dependsOn.length === 0) return [];
+
+  const db = database.getConnection();
+  const rows = await db('jobs').whereIn('id', dependsOn).select('id');
+  const found = new Set(rows.map(row => row.id));
+  return dependsOn.filter(id => !found.has(id));
+};
+
+/**
+ * Check a job's new dependency list for a cycle
+ * @param {string} jobId - Job gaining dependencies
+ * @param {string[]} dependsOn - Jobs it will depend on
+ * @returns {Promise<string[]|null>} - The cycle, or null
+ */
+const detectCycle = async (jobId, dependsOn) => {
+  return findCycle(jobId, dependsOn, getDependencies);
+};
+
+/**
+ * Work out a job's dependency edges, resolving edges to jobs that already finished
+ * @param {string} jobId - Dependent job identifier
+ * @param {string[]} dependsOn - Jobs it depends on
+ * @param {Date} now - Change time
+ * @returns {Promise<{edges: Object[], status: string, error: string|null}>} - Edges and the status they imply
+ */
+const planDependencies = async (jobId, dependsOn, now = new Date()) => {
+  const db = database.getConnection();
+  const ids = [...new Set(dependsOn)];
+
+  const targets = ids.length > 0 ? await db('jobs').whereIn('id', ids).select('id', 'status') : [];
+  const statusById = new Map(targets.map(target => [target.id, target.status]));
+
+  const edges = ids.map(id => {
+    const state = getEdgeState(statusById.has(id) ? statusById.get(id) : null);
+    return {
+      job_id: jobId,
+      depends_on_id: id,
+      state,
+      created_at: now,
+      resolved_at: state === 'waiting' ? null : now
+    };
+  });
+
+  return { edges, ...deriveDependentStatus(edges) };
+};
+
+/**
+ * Replace a job's dependency edges
+ * @param {string} jobId - Dependent job identifier
+ * @param {Object[]} edges - Edges from planDependencies
+ * @param {Object|null} trx - Transaction to write in; a new one is used when omitted
+ */
+const saveDependencies = async (jobId, edges, trx = null) => {
+  if (!trx) {
+    const db = database.getConnection();
+    return db.transaction(inner => saveDependencies(jobId, edges, inner));
+  }
+
+  await trx('job_dependencies').where('job_id', jobId).del();
+  if (edges.length > 0) {
+    await trx('job_dependencies').insert(edges);
+  }
+};
+
+/**
+ * Resolve a job's waiting edges whose dependency finished or was removed after
+ * the edges were planned. Such a dependency notified its dependents before the
+ * edges existed, so nothing else would resolve them.
+ * @param {string} jobId - Dependent job identifier
+ * @param {Date} now - Resolution time
+ * @returns {Promise<boolean>} - Whether any edge was resolved
+ */
+const recheckDependencies = async (jobId, now = new Date()) => {
+  const db = database.getConnection();
+
+  const waiting = await db('job_dependencies')
+    .where('job_id', jobId)
+    .where('state', 'waiting')
+    .select('depends_on_id');
+  if (waiting.length === 0) return false;
+
+  const ids = waiting.map(edge => edge.depends_on_id);
+  const targets = await db('jobs').whereIn('id', ids).select('id', 'status');
+  const statusById = new Map(targets.map(target => [target.id, target.status]));
+
+  let resolved = false;
+  for (const id of ids) {
+    const state = getEdgeState(statusById.has(id) ? statusById.get(id) : null);
+    if (state === 'waiting') continue;
+
+    await db('job_dependencies')
+      .where('job_id', jobId)
+      .where('depends_on_id', id)
+      .where('state', 'waiting')
+      .update({ state, resolved_at: now });
+    resolved = true;
+  }
+
+  return resolved;
+};
+
+/**
+ * Resolve the edges pointing at a job that finished or was removed
+ * @param {Object} job - The job depended on
+ * @param {boolean} removed - Whether the job was deleted or expired
+ * @param {Date} now - Resolution time
+ * @returns {Promise<string[]>} - Dependent jobs whose edges changed
+ */
+const resolveDependents = async (job, removed, now = new Date()) => {
+  const db = database.getConnection();
+
+  if (removed) {
+    // The removed job's own dependencies no longer matter
+    await db('job_dependencies').where('job_id', job.id).del();
+  }
+
+  const state = getEdgeState(removed && job.status !== 'completed' ? null : job.status);
+  if (state === 'waiting') return [];
+
+  const waiting = await db('job_dependencies')
+    .where('depends_on_id', job.id)
+    .where('state', 'waiting')
+    .select('job_id');
+  if (waiting.length === 0) return [];
+
+  await db('job_dependencies')
+    .where('depends_on_id', job.id)
+    .where('state', 'waiting')
+    .update({ state, resolved_at: now });
+
+  return [...new Set(waiting.map(edge => edge.job_id))];
+};
+
+/**
+ * Compute the update that moves a blocked job on once its dependencies resolve
+ * @param {Object} job - Dependent job row
+ * @returns {Promise<Object|null>} - { status, error }, or null if the job stays blocked
+ */
+const getUnblockUpdate = async (job) => {
+  if (job.status !== 'blocked') return null;
+
+  const edges = await getDependencies([job.id]);
+  const { status, error } = deriveDependentStatus(edges);
+  if (status === 'blocked') return null;
+
+  return { status, error };
+};
+
+/**
+ * Collect the dependency graph around a job: everything it depends on and
+ * everything that depends on it, transitively
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<{nodes: Object[], edges: Object[], truncated: boolean}>}
+ */
+const getGraph = async (jobId) => {
+  const db = database.getConnection();
+  const nodeIds = new Set([jobId]);
+  const edgesByKey = new Map();
+  let frontier = [jobId];
+  let truncated = false;
+
+  while (frontier.length > 0) {
+    const edges = await db('job_dependencies')
+      .whereIn('job_id', frontier)
+      .orWhereIn('depends_on_id', frontier)
+      .select('*');
+
+    frontier = [];
+    for (const edge of edges) {
+      edgesByKey.set(`${edge.job_id}:${edge.depends_on_id}`, edge);
+      for (const id of [edge.job_id, edge.depends_on_id]) {
+        if (nodeIds.has(id)) continue;
+        if (nodeIds.size >= MAX_GRAPH_NODES) {
+          truncated = true;
+          continue;
+        }
+        nodeIds.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+
+  const nodes = await db('jobs').whereIn('id', [...nodeIds]).select('*');
+  const existing = new Set(nodes.map(node => node.id));
+
+  // Edges to removed or unvisited jobs are left out
+  const edges = [...edgesByKey.values()].filter(edge => existing.has(edge.job_id) && existing.has(edge.depends_on_id));
+
+  return { nodes, edges, truncated };
+};
+
+module.exports = {
+  findMissing,
+  detectCycle,
+  planDependencies,
+  saveDependencies,
+  recheckDependencies,
+  resolveDependents,
+  getUnblockUpdate,
+  getGraph
+};
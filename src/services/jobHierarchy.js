@@ -0,0 +1,112 @@
+const database = require('../config/database');
+const jobStatus = require('../utils/jobStatus');
+const { computeRollup } = require('../utils/jobRollup');
+
+// Guards walks up or down the tree against corrupt parent links
+const MAX_DEPTH = 100;
+
+/**
+ * List a job's direct children, oldest first
+ * @param {string} parentId - Parent job identifier
+ * @param {Object} options - Pagination options
+ * @returns {Promise<{children: Object[], total: number}>}
+ */
+const listChildren = async (parentId, { limit = 100, offset = 0 } = {}) => {
+  const db = database.getConnection();
+
+  const children = await db('jobs')
+    .where('parent_id', parentId)
+    .orderBy('created_at', 'asc')
+    .limit(limit)
+    .offset(offset)
+    .select('*');
+
+  const [{ total }] = await db('jobs')
+    .where('parent_id', parentId)
+    .count('* as total');
+
+  return { children, total: parseInt(total) };
+};
+
+/**
+ * Collect every descendant of a job, parents before their children
+ * @param {string} jobId - Root job identifier
+ * @returns {Promise<Object[]>} - Descendant rows
+ */
+const listDescendants = async (jobId) => {
+  const db = database.getConnection();
+  const descendants = [];
+  let level = [jobId];
+
+  for (let depth = 0; level.length > 0 && depth < MAX_DEPTH; depth++) {
+    const rows = await db('jobs').whereIn('parent_id', level).select('*');
+    descendants.push(...rows);
+    level = rows.map(row => row.id);
+  }
+
+  return descendants;
+};
+
+/**
+ * Check whether making parentId the parent of jobId would create a cycle
+ * @param {string} jobId - Job being re-parented
+ * @param {string} parentId - Proposed parent
+ * @returns {Promise<boolean>}
+ */
+const wouldCreateCycle = async (jobId, parentId) => {
+  const db = database.getConnection();
+  let currentId = parentId;
+
+  for (let depth = 0; currentId && depth < MAX_DEPTH; depth++) {
+    if (currentId === jobId) return true;
+    const [row] = await db('jobs').where('id', currentId).select('parent_id');
+    currentId = row ? row.parent_id : null;
+  }
+
+  return Boolean(currentId);
+};
+
+/**
+ * Compute the update that brings a rolled-up parent in line with its children
+ * @param {Object} parent - Parent job row
+ * @param {Date} now - Update time
+ * @returns {Promise<Object|null>} - Columns to update, or null if nothing changes
+ */
+const getRollupUpdate = async (parent, now = new Date()) => {
+  if (!parent.rollup) return null;
+
+  const db = database.getConnection();
+  const children = await db('jobs')
+    .where('parent_id', parent.id)
+    .select('status', 'progress', 'weight');
+
+  const rollup = computeRollup(children, parent.rollup);
+  if (!rollup) return null;
+
+  const update = {};
+  if (rollup.progress !== parent.progress) {
+    update.progress = rollup.progress;
+  }
+
+  // Derived statuses skip the intermediate steps of the state machine, but a
+  // finished parent is only re-opened along a configured re-open path
+  const { status } = rollup;
+  const isFinished = jobStatus.TERMINAL_STATUSES.includes(parent.status);
+  if (status && status !== parent.status && (!isFinished || jobStatus.canTransition(parent.status, status))) {
+    update.status = status;
+    Object.assign(update, jobStatus.getTransitionTimestamps(parent.status, status, now));
+    if (status === 'running' || status === 'completed') {
+      update.started_at = parent.started_at || now;
+    }
+    update.error = status === 'failed' ? `${rollup.failedCount} child job(s) failed` : null;
+  }
+
+  return Object.keys(update).length > 0 ? update : null;
+};
+
+module.exports = {
+  listChildren,
+  listDescendants,
+  wouldCreateCycle,
+  getRollupUpdate
+};
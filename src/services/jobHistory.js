@@ -0,0 +1,146 @@
+const database = require('../config/database');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+
+/**
+ * Job fields tracked in the event history
+ */
+const TRACKED_FIELDS = [
+  'name',
+  'description',
+  'status',
+  'progress',
+  'tags',
+  'metadata',
+  'ttl',
+  'error',
+  'parent_id',
+  'rollup',
+  'weight',
+  'heartbeat_timeout',
+  'retry_policy',
+  'attempt',
+  'deadline_at',
+  'max_runtime',
+  'lease_owner'
+];
+
+/**
+ * Events fetched per page when replaying history to a resuming stream
+ */
+const REPLAY_PAGE_SIZE = 1000;
+
+/**
+ * Compute the field-level diff between two job states
+ * @param {Object|null} before - Job row before the change (null on create)
+ * @param {Object|null} after - Job row after the change (null on delete)
+ * @returns {Object} - Map of field to { from, to }
+ */
+const diffJob = (before, after) => {
+  const changes = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    // A missing row or column reads as null, so null columns stay out of create/delete snapshots
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Append an event to a job's history
+ * @param {Object} event - Event details
+ * @param {string} event.jobId - Job identifier
+ * @param {string} event.action - 'created', 'updated' or 'deleted'
+ * @param {Object|null} event.before - Job row before the change
+ * @param {Object|null} event.after - Job row after the change
+ * @param {string|null} event.actor - Who made the change
+ * @returns {Promise<Object|null>} - Stored event row, or null if recording failed
+ */
+const record = async ({ jobId, action, before = null, after = null, actor = null }) => {
+  try {
+    const db = database.getConnection();
+    const changes = diffJob(before, after);
+
+    // Updates that touch nothing tracked are not worth a history entry
+    if (action === 'updated' && Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    const [event] = await db('job_events')
+      .insert({
+        job_id: jobId,
+        action,
+        changes: JSON.stringify(changes),
+        actor,
+        created_at: new Date()
+      })
+      .returning('*');
+
+    // Fan out to live listeners (SSE streams)
+    eventBus.publish({ event, job: after || before });
+
+    return event;
+  } catch (error) {
+    logger.error('Failed to record job event:', error);
+    return null;
+  }
+};
+
+/**
+ * List a job's events, oldest first
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - Pagination options
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+const list = async (jobId, { limit = 50, offset = 0 } = {}) => {
+  const db = database.getConnection();
+
+  const events = await db('job_events')
+    .where('job_id', jobId)
+    .orderBy('id', 'asc')
+    .limit(limit)
+    .offset(offset);
+
+  const [{ total }] = await db('job_events')
+    .where('job_id', jobId)
+    .count('* as total');
+
+  return { events, total: parseInt(total) };
+};
+
+/**
+ * List events recorded after a given event id, used to resume streams
+ * @param {number} lastEventId - Last event id the client has seen
+ * @param {Object} options - Filter options
+ * @param {string} options.jobId - Restrict to a single job
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Object[]>} - Events, oldest first
+ */
+const listSince = async (lastEventId, { jobId = null, limit = REPLAY_PAGE_SIZE } = {}) => {
+  const db = database.getConnection();
+
+  let query = db('job_events')
+    .where('id', '>', lastEventId)
+    .orderBy('id', 'asc')
+    .limit(limit);
+
+  if (jobId) {
+    query = query.where('job_id', jobId);
+  }
+
+  return query;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REPLAY_PAGE_SIZE,
+  diffJob,
+  record,
+  list,
+  listSince
+};
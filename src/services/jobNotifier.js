@@ -0,0 +1,212 @@
+const database = require('../config/database');
+const redis = require('../config/redis');
+const jobHistory = require('./jobHistory');
+const jobAttempts = require('./jobAttempts');
+const jobHierarchy = require('./jobHierarchy');
+const jobGraph = require('./jobGraph');
+const jobStatus = require('../utils/jobStatus');
+const webhookDelivery = require('./webhookDelivery');
+const webhookManager = require('../utils/webhook');
+const { deriveEventTypes } = require('../utils/jobEvents');
+const { matchesFilters } = require('../utils/webhookFilters');
+const { parseJson } = require('../utils/json');
+const logger = require('../utils/logger');
+
+/**
+ * Enqueue webhook deliveries for each derived event type
+ * @param {Object} job - Job row the payload describes
+ * @param {string[]} eventTypes - Event types to deliver
+ * @param {Object|null} previousState - Job row before the mutation
+ */
+const dispatchWebhooks = async (job, eventTypes, previousState) => {
+  if (eventTypes.length === 0) return;
+
+  try {
+    const db = database.getConnection();
+    const webhooks = await db('webhooks')
+      .where('is_active', true)
+      .select('*');
+
+    // Subscription filters are evaluated once per mutation, against the latest job state
+    const candidates = webhooks.filter(webhook => matchesFilters(webhook.filters, job));
+
+    for (const eventType of eventTypes) {
+      const subscribers = candidates.filter(webhook => parseJson(webhook.events, []).includes(eventType));
+      if (subscribers.length > 0) {
+        const payload = webhookManager.createJobPayload(job, eventType, previousState);
+        await webhookDelivery.enqueue(subscribers, payload, { jobId: job.id, eventType });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to trigger webhooks:', error);
+  }
+};
+
+// Child fields a rolled-up parent depends on
+const ROLLUP_FIELDS = ['status', 'progress', 'weight', 'parent_id'];
+
+/**
+ * Bring a rolled-up parent in line with its children. The parent's own update
+ * goes through notify, so changes keep rolling up to its ancestors.
+ * @param {string} parentId - Parent job identifier
+ * @param {string|null} actor - Who made the change that triggered the roll-up
+ */
+const rollupParent = async (parentId, actor) => {
+  try {
+    const db = database.getConnection();
+    const [parent] = await db('jobs').where('id', parentId).select('*');
+    if (!parent) return;
+
+    const now = new Date();
+    const update = await jobHierarchy.getRollupUpdate(parent, now);
+    if (!update) return;
+
+    // A parent whose status changed since the read, say through PUT, keeps that
+    // status; the next child change rolls it up again
+    const [updatedParent] = await db('jobs')
+      .where('id', parentId)
+      .where('status', parent.status)
+      .update({ ...update, updated_at: now })
+      .returning('*');
+    if (!updatedParent) return;
+
+    await redis.del(`job:${parentId}`);
+
+    await notify({ mutation: 'updated', job: updatedParent, previousState: parent, actor });
+  } catch (error) {
+    logger.error('Failed to roll up parent job:', error);
+  }
+};
+
+/**
+ * Resolve the dependency edges pointing at a finished or removed job, and move
+ * dependents that are no longer blocked to pending, or cancel them. Their own
+ * updates go through notify, so a cancellation cascades down the graph.
+ * @param {Object} job - Job that finished or was removed
+ * @param {boolean} removed - Whether the job was deleted or expired
+ * @param {string|null} actor - Who made the change
+ */
+const unblockDependents = async (job, removed, actor) => {
+  try {
+    const now = new Date();
+    const dependentIds = await jobGraph.resolveDependents(job, removed, now);
+
+    for (const dependentId of dependentIds) {
+      await unblockJob(dependentId, actor, now);
+    }
+  } catch (error) {
+    logger.error('Failed to unblock dependent jobs:', error);
+  }
+};
+
+/**
+ * Move a blocked job on if its dependencies have all resolved
+ * @param {string} jobId - Dependent job identifier
+ * @param {string|null} actor - Who made the change
+ * @param {Date} now - Change time
+ * @returns {Promise<Object|null>} - The updated job, or null if it was left alone
+ */
+const unblockJob = async (jobId, actor, now) => {
+  const db = database.getConnection();
+  const [dependent] = await db('jobs').where('id', jobId).select('*');
+  if (!dependent) return null;
+
+  const unblock = await jobGraph.getUnblockUpdate(dependent);
+  if (!unblock) return null;
+
+  const [updatedDependent] = await db('jobs')
+    .where('id', jobId)
+    .where('status', 'blocked')
+    .update({
+      ...unblock,
+      ...jobStatus.getTransitionTimestamps(dependent.status, unblock.status, now),
+      updated_at: now
+    })
+    .returning('*');
+
+  // Another update got there first
+  if (!updatedDependent) return null;
+
+  await redis.del(`job:${jobId}`);
+
+  await notify({ mutation: 'updated', job: updatedDependent, previousState: dependent, actor });
+  return updatedDependent;
+};
+
+/**
+ * Re-check a job's dependencies once its edges are written, and unblock it
+ * if a dependency finished in the meantime
+ * @param {Object} job - Job whose dependencies were just saved
+ * @param {string|null} actor - Who made the change
+ * @returns {Promise<Object>} - The job's latest row
+ */
+const recheckDependencies = async (job, actor) => {
+  try {
+    const now = new Date();
+    const resolved = await jobGraph.recheckDependencies(job.id, now);
+    if (!resolved || job.status !== 'blocked') return job;
+
+    return (await unblockJob(job.id, actor, now)) || job;
+  } catch (error) {
+    logger.error('Failed to re-check job dependencies:', error);
+    return job;
+  }
+};
+
+/**
+ * Record and announce a job mutation: history, attempts, live streams and webhooks,
+ * then roll the change up into the job's parent and unblock its dependents
+ * @param {Object} change - Mutation details
+ * @param {string} change.mutation - 'created', 'updated', 'deleted' or 'expired'
+ * @param {Object} change.job - Job row after the mutation (the removed row for deletions)
+ * @param {Object|null} change.previousState - Job row before the mutation
+ * @param {string|null} change.actor - Who made the change
+ * @returns {Promise<string[]>} - Event types dispatched to webhooks
+ */
+const notify = async ({ mutation, job, previousState = null, actor = null }) => {
+  const removed = mutation === 'deleted' || mutation === 'expired';
+
+  await jobHistory.record({
+    jobId: job.id,
+    action: mutation,
+    before: previousState,
+    after: removed ? null : job,
+    actor
+  });
+
+  if (!removed) {
+    await jobAttempts.recordTransition(previousState, job);
+  }
+
+  const eventTypes = deriveEventTypes(mutation, previousState, removed ? null : job);
+  await dispatchWebhooks(job, eventTypes, previousState);
+
+  const affectsParent = mutation !== 'updated' ||
+    ROLLUP_FIELDS.some(field => previousState && previousState[field] !== job[field]);
+  if (affectsParent) {
+    // A re-parented job changes both its old and its new parent
+    const parentIds = new Set([job.parent_id, previousState && previousState.parent_id].filter(Boolean));
+    for (const parentId of parentIds) {
+      await rollupParent(parentId, actor);
+    }
+  }
+
+  const finished = !removed && jobStatus.TERMINAL_STATUSES.includes(job.status) &&
+    (!previousState || previousState.status !== job.status);
+  if (removed || finished) {
+    await unblockDependents(job, removed, actor);
+  }
+
+  // Turning roll-up on, or changing its mode, recomputes the job from its children
+  if (!removed && previousState && job.rollup && job.rollup !== previousState.rollup) {
+    await rollupParent(job.id, actor);
+  }
+
+  return eventTypes;
+};
+
+module.exports = {
+  notify,
+  recheckDependencies,
+  dispatchWebhooks
+};
@@ -0,0 +1,182 @@
+const database = require('../config/database');
+const jobStatus = require('../utils/jobStatus');
+const { getLeaseSettings, getLeaseExpiry, getExpiryUpdate, getStaleUpdate, globToLike } = require('../utils/jobLease');
+const { getAttemptStart, applyRetryPolicy } = require('../utils/jobRetry');
+const { latestOf, addMilliseconds } = require('../utils/dbTime');
+const { jsonContains } = require('../utils/json');
+
+// Most jobs released or failed per sweep
+const SWEEP_LIMIT = 500;
+
+/**
+ * Atomically take the oldest pending job that is not waiting out a retry delay,
+ * and lease it to a worker. Rows locked
+ * by a concurrent claim are skipped rather than waited on (FOR UPDATE SKIP LOCKED,
+ * PostgreSQL 9.5+ and MySQL 8+).
+ * @param {Object} claim - Claim request
+ * @param {string} claim.workerId - Worker taking the lease
+ * @param {string[]} claim.tags - Tags the job must carry
+ * @param {string} claim.name - Exact job name, or a glob with '*'
+ * @param {number|null} claim.lease - Lease length in ms
+ * @param {Date} now - Claim time
+ * @returns {Promise<{job: Object, previousState: Object}|null>} - null if no job matched
+ */
+const claimJob = async ({ workerId, tags = [], name = null, lease = null }, now = new Date()) => {
+  const db = database.getConnection();
+  const settings = getLeaseSettings();
+
+  return db.transaction(async (trx) => {
+    let query = trx('jobs')
+      .where('status', 'pending')
+      .where(retry => retry.whereNull('retry_at').orWhere('retry_at', '<=', now))
+      .orderBy('created_at', 'asc')
+      .limit(1)
+      .forUpdate()
+      .skipLocked();
+
+    if (tags.length > 0) {
+      query = query.whereRaw(...jsonContains('tags', tags));
+    }
+    if (name) {
+      query = query.where('name', 'like', globToLike(name));
+    }
+
+    const [job] = await query.select('*');
+    if (!job) return null;
+
+    const update = {
+      status: 'running',
+      lease_owner: workerId,
+      lease_expires_at: getLeaseExpiry(lease, settings, now),
+      ...jobStatus.getTransitionTimestamps(job.status, 'running', now),
+      ...getAttemptStart(job, 'running'),
+      updated_at: now
+    };
+    await trx('jobs').where('id', job.id).update(update);
+
+    return { job: { ...job, ...update }, previousState: job };
+  });
+};
+
+/**
+ * Record a heartbeat for a running job. A worker that holds the job's lease
+ * renews it; jobs that were not claimed take heartbeats without a workerId.
+ * @param {string} jobId - Job identifier
+ * @param {Object} heartbeat - Heartbeat details
+ * @param {string|null} heartbeat.workerId - Worker holding the lease
+ * @param {number|null} heartbeat.lease - Lease length in ms
+ * @param {Date} now - Heartbeat time
+ * @returns {Promise<{job: Object}|{error: string, job: Object|null}>} - error is
+ *   'not_found', 'not_running' or 'lease_not_held'
+ */
+const recordHeartbeat = async (jobId, { workerId = null, lease = null } = {}, now = new Date()) => {
+  const db = database.getConnection();
+
+  let query = db('jobs')
+    .where('id', jobId)
+    .where('status', 'running');
+  const update = { last_heartbeat_at: now, updated_at: now };
+
+  if (workerId) {
+    query = query.where('lease_owner', workerId);
+    update.lease_expires_at = getLeaseExpiry(lease, getLeaseSettings(), now);
+  } else {
+    // A leased job only takes heartbeats from its worker
+    query = query.whereNull('lease_expires_at');
+  }
+
+  const recorded = await query.update(update);
+
+  const [job] = await db('jobs').where('id', jobId).select('*');
+  if (recorded === 1) return { job };
+
+  if (!job) return { error: 'not_found', job: null };
+  if (job.status !== 'running') return { error: 'not_running', job };
+  return { error: 'lease_not_held', job };
+};
+
+/**
+ * Requeue or fail running jobs whose lease ran out
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Object[]>} - { job, previousState } for each released job
+ */
+const expireLeases = async (now = new Date()) => {
+  const db = database.getConnection();
+  const { expiryAction } = getLeaseSettings();
+
+  const expired = await db('jobs')
+    .where('status', 'running')
+    .where('lease_expires_at', '<', now)
+    .orderBy('lease_expires_at', 'asc')
+    .limit(SWEEP_LIMIT)
+    .select('*');
+
+  const released = [];
+  for (const job of expired) {
+    // A heartbeat that lands between the select and here keeps the job
+    const [updatedJob] = await db('jobs')
+      .where('id', job.id)
+      .where('status', 'running')
+      .where('lease_expires_at', job.lease_expires_at)
+      .update(applyRetryPolicy(job, getExpiryUpdate(job, expiryAction, now), now))
+      .returning('*');
+
+    if (updatedJob) {
+      released.push({ job: updatedJob, previousState: job });
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Fail running jobs whose heartbeat is overdue
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Object[]>} - { job, previousState } for each failed job
+ */
+const failStaleJobs = async (now = new Date()) => {
+  const db = database.getConnection();
+
+  // Same clock as getHeartbeatDeadline: the later of the last heartbeat and the
+  // start of the run, or updated_at for jobs that have neither
+  const deadline = addMilliseconds(
+    `coalesce(${latestOf(['last_heartbeat_at', 'started_at'])}, updated_at)`,
+    'heartbeat_timeout'
+  );
+  const stale = await db('jobs')
+    .where('status', 'running')
+    .whereNotNull('heartbeat_timeout')
+    .whereRaw(`${deadline} < ?`, [now])
+    .orderByRaw(deadline)
+    .limit(SWEEP_LIMIT)
+    .select('*');
+
+  const failed = [];
+  for (const job of stale) {
+    // A heartbeat that lands between the select and here keeps the job
+    let query = db('jobs')
+      .where('id', job.id)
+      .where('status', 'running');
+    query = job.last_heartbeat_at
+      ? query.where('last_heartbeat_at', job.last_heartbeat_at)
+      : query.whereNull('last_heartbeat_at');
+
+    const [updatedJob] = await query
+      .update(applyRetryPolicy(job, getStaleUpdate(job, now), now))
+      .returning('*');
+
+    if (updatedJob) {
+      failed.push({ job: updatedJob, previousState: job });
+    }
+  }
+
+  return failed;
+};
+
+module.exports = {
+  SWEEP_LIMIT,
+  claimJob,
+  recordHeartbeat,
+  expireLeases,
+  failStaleJobs
+};
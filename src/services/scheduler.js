@@ -0,0 +1,197 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const jobNotifier = require('./jobNotifier');
+const { getFireSlot } = require('../utils/cronSchedule');
+const { parseJson } = require('../utils/json');
+const logger = require('../utils/logger');
+
+/**
+ * Recurring job schedules.
+ *
+ * Every replica registers a node-cron task per active schedule. When a task
+ * fires, the replica claims that minute on the schedule row (last_run_at is
+ * only moved forward by one replica), so each tick creates exactly one job.
+ * Schedules are reloaded every minute to pick up changes made through other
+ * replicas.
+ */
+class SchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.tasks = new Map();
+    this.refreshTask = null;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    await this.refresh();
+
+    this.refreshTask = cron.schedule('* * * * *', () => { // Every minute
+      this.refresh();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    logger.info('Scheduler started');
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Scheduler is not running');
+      return;
+    }
+
+    if (this.refreshTask) {
+      this.refreshTask.stop();
+      this.refreshTask = null;
+    }
+    for (const id of [...this.tasks.keys()]) {
+      this.unregister(id);
+    }
+
+    this.isRunning = false;
+    logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Bring the registered cron tasks in line with the job_schedules table
+   */
+  async refresh() {
+    try {
+      const db = database.getConnection();
+      const schedules = await db('job_schedules').select('*');
+
+      const seen = new Set();
+      schedules.forEach(schedule => {
+        seen.add(schedule.id);
+        this.sync(schedule);
+      });
+
+      for (const id of [...this.tasks.keys()]) {
+        if (!seen.has(id)) this.unregister(id);
+      }
+    } catch (error) {
+      logger.error('Failed to refresh schedules:', error);
+    }
+  }
+
+  /**
+   * Register, re-register or drop the cron task for one schedule
+   * @param {Object} schedule - Schedule row
+   */
+  sync(schedule) {
+    if (!this.isRunning) return;
+
+    const registered = this.tasks.get(schedule.id);
+    const version = new Date(schedule.updated_at).getTime();
+    if (registered && registered.version === version) return;
+
+    this.unregister(schedule.id);
+    if (schedule.is_paused) return;
+
+    try {
+      const task = cron.schedule(schedule.cron_expression, () => {
+        this.fire(schedule.id, new Date());
+      }, {
+        scheduled: true,
+        timezone: schedule.timezone || 'UTC'
+      });
+      this.tasks.set(schedule.id, { task, version });
+    } catch (error) {
+      logger.error('Failed to register schedule:', { scheduleId: schedule.id, error: error.message });
+    }
+  }
+
+  /**
+   * Drop the cron task for a schedule
+   * @param {string} scheduleId - Schedule identifier
+   */
+  unregister(scheduleId) {
+    const registered = this.tasks.get(scheduleId);
+    if (!registered) return;
+
+    registered.task.stop();
+    this.tasks.delete(scheduleId);
+  }
+
+  /**
+   * Handle a cron tick: claim the minute on the schedule row and create its job
+   * @param {string} scheduleId - Schedule identifier
+   * @param {Date} firedAt - When the local task fired
+   * @returns {Promise<Object|null>} - Created job, or null if another replica claimed the tick
+   */
+  async fire(scheduleId, firedAt) {
+    try {
+      const db = database.getConnection();
+      const slot = getFireSlot(firedAt);
+
+      const claimed = await db('job_schedules')
+        .where('id', scheduleId)
+        .where('is_paused', false)
+        .where(run => run.whereNull('last_run_at').orWhere('last_run_at', '<', slot))
+        .update({ last_run_at: slot });
+
+      if (claimed !== 1) return null;
+
+      const [schedule] = await db('job_schedules').where('id', scheduleId).select('*');
+      if (!schedule) return null;
+
+      return await this.materialize(schedule, 'scheduler');
+    } catch (error) {
+      logger.error('Failed to run schedule:', { scheduleId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Create a job from a schedule's template
+   * @param {Object} schedule - Schedule row
+   * @param {string|null} actor - Who caused the run
+   * @returns {Promise<Object>} - Created job row
+   */
+  async materialize(schedule, actor = null) {
+    const db = database.getConnection();
+    const template = parseJson(schedule.job_template, {});
+    const now = new Date();
+
+    const [job] = await db('jobs')
+      .insert({
+        id: uuidv4(),
+        name: template.name,
+        description: template.description,
+        status: 'pending',
+        progress: 0,
+        tags: JSON.stringify(template.tags || []),
+        metadata: JSON.stringify(template.metadata || {}),
+        ttl: template.ttl,
+        schedule_id: schedule.id,
+        created_at: now,
+        updated_at: now
+      })
+      .returning('*');
+
+    await db('job_schedules')
+      .where('id', schedule.id)
+      .update({ last_job_id: job.id });
+
+    await jobNotifier.notify({ mutation: 'created', job, actor });
+
+    logger.info('Scheduled job created', { scheduleId: schedule.id, jobId: job.id });
+
+    return job;
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,498 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('../config/database');
+const webhookManager = require('../utils/webhook');
+const { computeBackoff } = require('../utils/backoff');
+const { getActiveSecrets } = require('../utils/webhookSignature');
+const circuitBreaker = require('../utils/circuitBreaker');
+const { renderPayload } = require('../utils/webhookFormats');
+const webhookBatching = require('../utils/webhookBatching');
+const { parseJson } = require('../utils/json');
+const logger = require('../utils/logger');
+
+/**
+ * Persistent webhook delivery queue.
+ *
+ * Deliveries are written to webhook_deliveries as 'pending' and sent by a
+ * background worker. Failed sends are retried with exponential backoff until
+ * MAX_WEBHOOK_RETRIES is exhausted. Every attempt is recorded in
+ * webhook_delivery_attempts.
+ *
+ * Each webhook has a circuit breaker (see utils/circuitBreaker): while it is
+ * open, due deliveries are deferred to the next probe time and only a single
+ * probe delivery is sent.
+ *
+ * Webhooks in 'batched' or 'digest' mode (see utils/webhookBatching) have
+ * their events written as 'buffered' rows. The worker flushes them into a
+ * single delivery whose payload is an array, and marks the buffered rows
+ * 'batched' with the id of that delivery.
+ */
+class WebhookDeliveryService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.timer = null;
+    this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000;
+    this.batchLimit = 50;
+    this.maxBufferedPerFlush = 1000;
+  }
+
+  get maxRetries() {
+    const value = parseInt(process.env.MAX_WEBHOOK_RETRIES);
+    return Number.isInteger(value) && value >= 0 ? value : 3;
+  }
+
+  get timeout() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT) || 5000;
+  }
+
+  /**
+   * Start the delivery worker
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Webhook delivery worker is already running');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processPending();
+    }, this.pollInterval);
+
+    this.isRunning = true;
+    logger.info('Webhook delivery worker started');
+  }
+
+  /**
+   * Stop the delivery worker
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('Webhook delivery worker is not running');
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+    logger.info('Webhook delivery worker stopped');
+  }
+
+  /**
+   * Queue a payload for delivery to a set of webhooks
+   * @param {Object[]} webhooks - Webhook rows
+   * @param {Object} payload - Payload to deliver
+   * @param {Object} context - Delivery context
+   * @param {string} context.jobId - Job the event relates to
+   * @param {string} context.eventType - Event type
+   * @returns {Promise<Object[]>} - Created delivery rows
+   */
+  async enqueue(webhooks, payload, { jobId = null, eventType }) {
+    if (webhooks.length === 0) return [];
+
+    const db = database.getConnection();
+    const now = new Date();
+    const rows = webhooks.map(webhook => {
+      const isBuffered = webhookBatching.getBatchSettings(webhook).mode !== 'immediate';
+      return {
+        id: uuidv4(),
+        webhook_id: webhook.id,
+        job_id: jobId,
+        event_type: eventType,
+        payload: JSON.stringify(payload),
+        status: isBuffered ? 'buffered' : 'pending',
+        retry_count: 0,
+        next_attempt_at: isBuffered ? null : now,
+        created_at: now,
+        updated_at: now
+      };
+    });
+
+    await db('webhook_deliveries').insert(rows);
+
+    // Send right away rather than waiting for the next poll
+    if (this.isRunning) {
+      setImmediate(() => this.processPending());
+    }
+
+    return rows;
+  }
+
+  /**
+   * Queue stored deliveries to be sent again, as new rows linked to the originals.
+   * They are sent in the order the originals were created. A redelivery that
+   * fails is retried with backoff without holding back the ones after it, so
+   * the order only holds while the receiver accepts them.
+   * @param {Object[]} deliveries - Delivery rows
+   * @returns {Promise<Object[]>} - Created delivery rows, in send order
+   */
+  async redeliver(deliveries) {
+    if (deliveries.length === 0) return [];
+
+    const db = database.getConnection();
+    const now = Date.now();
+    const ordered = [...deliveries].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    // Stagger due times by a millisecond so the worker sends them in order
+    const rows = ordered.map((delivery, index) => ({
+      id: uuidv4(),
+      webhook_id: delivery.webhook_id,
+      job_id: delivery.job_id,
+      event_type: delivery.event_type,
+      payload: typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload),
+      status: 'pending',
+      retry_count: 0,
+      original_delivery_id: delivery.original_delivery_id || delivery.id,
+      next_attempt_at: new Date(now + index),
+      created_at: new Date(now + index),
+      updated_at: new Date(now)
+    }));
+
+    await db('webhook_deliveries').insert(rows);
+
+    if (this.isRunning) {
+      setImmediate(() => this.processPending());
+    }
+
+    return rows;
+  }
+
+  /**
+   * Send every delivery that is due
+   */
+  async processPending() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await this.flushBatches();
+
+      const db = database.getConnection();
+      const now = new Date();
+
+      // 'sending' rows whose lease ran out belong to a worker that died mid-send
+      const due = await db('webhook_deliveries')
+        .whereIn('status', ['pending', 'sending'])
+        .where('next_attempt_at', '<=', now)
+        .orderBy('next_attempt_at', 'asc')
+        .orderBy('created_at', 'asc')
+        .limit(this.batchLimit)
+        .select('*');
+
+      for (const delivery of due) {
+        // One bad delivery must not hold up the rest; a claimed row is retried once its lease runs out
+        try {
+          if (await this.isPaused(delivery)) continue;
+          if (await this.claim(delivery)) {
+            await this.attempt(delivery);
+          }
+        } catch (error) {
+          logger.error('Failed to process webhook delivery:', { deliveryId: delivery.id, error: error.message });
+        }
+      }
+    } catch (error) {
+      logger.error('Webhook delivery worker error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Turn buffered events into batch deliveries for every webhook whose batch is due
+   */
+  async flushBatches() {
+    const db = database.getConnection();
+    const now = new Date();
+
+    const buffers = await db('webhook_deliveries')
+      .where('status', 'buffered')
+      .select('webhook_id')
+      .count('* as count')
+      .min('created_at as oldest_at')
+      .groupBy('webhook_id');
+
+    for (const buffer of buffers) {
+      const [webhook] = await db('webhooks').where('id', buffer.webhook_id).select('*');
+
+      // The webhook was switched back to immediate mode or removed: send what is left one by one
+      if (!webhook || webhookBatching.getBatchSettings(webhook).mode === 'immediate') {
+        await db('webhook_deliveries')
+          .where('webhook_id', buffer.webhook_id)
+          .where('status', 'buffered')
+          .update({ status: 'pending', next_attempt_at: now, updated_at: now });
+        continue;
+      }
+
+      const settings = webhookBatching.getBatchSettings(webhook);
+      const count = parseInt(buffer.count);
+      if (!webhookBatching.isBatchDue(settings, { count, oldestAt: buffer.oldest_at }, now)) continue;
+
+      // A full batched webhook may have several batches waiting
+      let remaining = count;
+      while (remaining > 0) {
+        const flushed = await this.flushBatch(webhook, settings, now);
+        if (flushed === 0) break;
+        remaining -= flushed;
+        if (settings.mode === 'batched' && remaining < settings.size) break;
+      }
+    }
+  }
+
+  /**
+   * Move a webhook's oldest buffered events into one batch delivery
+   * @param {Object} webhook - Webhook row
+   * @param {Object} settings - From webhookBatching.getBatchSettings
+   * @param {Date} now - Flush time
+   * @returns {Promise<number>} - Number of buffered events taken
+   */
+  async flushBatch(webhook, settings, now) {
+    const db = database.getConnection();
+    const batchId = uuidv4();
+
+    const buffered = await db('webhook_deliveries')
+      .where('webhook_id', webhook.id)
+      .where('status', 'buffered')
+      .orderBy('created_at', 'asc')
+      .limit(settings.mode === 'batched' ? settings.size : this.maxBufferedPerFlush)
+      .select('id');
+    if (buffered.length === 0) return 0;
+
+    // Claim the rows so a concurrent worker cannot put them in a second batch
+    await db('webhook_deliveries')
+      .whereIn('id', buffered.map(row => row.id))
+      .where('status', 'buffered')
+      .update({ status: 'batched', batch_id: batchId, updated_at: now });
+
+    const events = await db('webhook_deliveries')
+      .where('batch_id', batchId)
+      .orderBy('created_at', 'asc')
+      .select('*');
+    if (events.length === 0) return 0;
+
+    const { payload, collapsed } = webhookBatching.buildBatch(
+      settings.mode,
+      events.map(event => parseJson(event.payload, {}))
+    );
+    const jobIds = [...new Set(events.map(event => event.job_id))];
+
+    await db('webhook_deliveries').insert({
+      id: batchId,
+      webhook_id: webhook.id,
+      job_id: jobIds.length === 1 ? jobIds[0] : null,
+      event_type: webhookBatching.BATCH_EVENT_TYPES[settings.mode],
+      payload: JSON.stringify(payload),
+      status: 'pending',
+      retry_count: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    });
+
+    await db('webhooks')
+      .where('id', webhook.id)
+      .increment({
+        batches_sent: 1,
+        batched_events: events.length,
+        collapsed_events: collapsed
+      })
+      .update({ last_batch_at: now });
+
+    logger.info('Webhook batch queued', {
+      webhookId: webhook.id,
+      deliveryId: batchId,
+      mode: settings.mode,
+      events: events.length,
+      collapsed
+    });
+
+    return events.length;
+  }
+
+  /**
+   * Apply the webhook's circuit breaker to a due delivery
+   * @param {Object} delivery - Delivery row
+   * @returns {Promise<boolean>} - True if the delivery was deferred
+   */
+  async isPaused(delivery) {
+    const db = database.getConnection();
+    const [webhook] = await db('webhooks').where('id', delivery.webhook_id).select('*');
+    if (!webhook || !webhook.is_active) return false;
+
+    const now = new Date();
+    const decision = circuitBreaker.getDispatchDecision(webhook, now);
+    if (decision === 'send') return false;
+
+    if (decision === 'probe') {
+      // Only one worker may move the breaker to half-open and send the probe
+      const leaseUntil = new Date(now.getTime() + circuitBreaker.getBreakerConfig().probeLease);
+      const claimed = await db('webhooks')
+        .where('id', webhook.id)
+        .where('breaker_state', webhook.breaker_state)
+        .where('next_probe_at', webhook.next_probe_at)
+        .update({ breaker_state: 'half_open', next_probe_at: leaseUntil });
+      if (claimed === 1) {
+        logger.info('Webhook circuit breaker probing', { webhookId: webhook.id, deliveryId: delivery.id });
+        return false;
+      }
+    }
+
+    // Hold the delivery until the breaker's next probe time
+    const [current] = await db('webhooks').where('id', webhook.id).select('next_probe_at');
+    const resumeAt = current && current.next_probe_at ? new Date(current.next_probe_at) : new Date(now.getTime() + this.pollInterval);
+    await db('webhook_deliveries')
+      .where('id', delivery.id)
+      .where('status', delivery.status)
+      .update({ status: 'pending', next_attempt_at: resumeAt, updated_at: now });
+    return true;
+  }
+
+  /**
+   * Take a lease on a delivery so other workers skip it
+   * @param {Object} delivery - Delivery row
+   * @returns {Promise<boolean>} - Whether this worker owns the delivery
+   */
+  async claim(delivery) {
+    const db = database.getConnection();
+    const leaseUntil = new Date(Date.now() + this.timeout * 2);
+
+    const claimed = await db('webhook_deliveries')
+      .where('id', delivery.id)
+      .where('status', delivery.status)
+      .where('next_attempt_at', delivery.next_attempt_at)
+      .update({
+        status: 'sending',
+        next_attempt_at: leaseUntil,
+        updated_at: new Date()
+      });
+
+    return claimed === 1;
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @param {Object} delivery - Delivery row
+   */
+  async attempt(delivery) {
+    const db = database.getConnection();
+    const attemptNumber = (delivery.retry_count || 0) + 1;
+
+    const [webhook] = await db('webhooks').where('id', delivery.webhook_id).select('*');
+    if (!webhook || !webhook.is_active) {
+      await db('webhook_deliveries')
+        .where('id', delivery.id)
+        .update({
+          status: 'failed',
+          error_message: webhook ? 'Webhook is inactive' : 'Webhook no longer exists',
+          updated_at: new Date()
+        });
+      return;
+    }
+
+    // A payload that cannot be rendered will not render on a retry either, and
+    // says nothing about the receiver, so it fails without an attempt or a breaker update
+    let rendered;
+    try {
+      // Payloads are stored in native form and rendered in the webhook's current format
+      const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+      rendered = renderPayload(webhook.format, payload, {
+        id: delivery.original_delivery_id || delivery.id,
+        template: parseJson(webhook.template, null)
+      });
+    } catch (error) {
+      await db('webhook_deliveries')
+        .where('id', delivery.id)
+        .update({
+          status: 'failed',
+          error_message: error.message,
+          next_attempt_at: null,
+          updated_at: new Date()
+        });
+      logger.warn('Webhook payload could not be rendered', { deliveryId: delivery.id, webhookId: webhook.id, error: error.message });
+      return;
+    }
+
+    // A send that throws counts as a failed attempt, so it follows the retry path
+    let result;
+    try {
+      result = await webhookManager.sendWebhook(webhook.url, rendered.body, parseJson(webhook.headers, {}), {
+        timeout: this.timeout,
+        secrets: getActiveSecrets(webhook),
+        extraHeaders: {
+          ...rendered.headers,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Attempt': String(attemptNumber)
+        }
+      });
+    } catch (error) {
+      result = {
+        success: false,
+        statusCode: null,
+        responseBody: null,
+        error: error.message,
+        durationMs: 0
+      };
+    }
+
+    await db('webhook_delivery_attempts').insert({
+      delivery_id: delivery.id,
+      webhook_id: webhook.id,
+      attempt: attemptNumber,
+      status_code: result.statusCode,
+      response_body: result.responseBody,
+      error_message: result.error,
+      duration_ms: result.durationMs,
+      created_at: new Date()
+    });
+
+    const now = new Date();
+    const update = {
+      status_code: result.statusCode,
+      response_body: result.responseBody,
+      error_message: result.error,
+      updated_at: now
+    };
+
+    if (result.success) {
+      update.status = 'delivered';
+      update.delivered_at = now;
+      update.next_attempt_at = null;
+    } else if (attemptNumber <= this.maxRetries) {
+      update.status = 'pending';
+      update.retry_count = attemptNumber;
+      update.next_attempt_at = new Date(now.getTime() + computeBackoff(attemptNumber, {
+        baseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 1000,
+        maxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60 * 60 * 1000
+      }));
+    } else {
+      update.status = 'failed';
+      update.next_attempt_at = null;
+    }
+
+    await db('webhook_deliveries').where('id', delivery.id).update(update);
+
+    // Feed the outcome to the circuit breaker, re-reading the webhook for its latest state
+    const [latestWebhook] = await db('webhooks').where('id', webhook.id).select('*');
+    const breakerUpdate = circuitBreaker.evaluateAttempt(latestWebhook || webhook, result.success, now);
+    await db('webhooks').where('id', webhook.id).update(breakerUpdate);
+
+    if (breakerUpdate.is_active === false) {
+      logger.warn('Webhook auto-disabled by circuit breaker', { webhookId: webhook.id, reason: breakerUpdate.disabled_reason });
+    } else if (breakerUpdate.breaker_state === 'open' && (latestWebhook || webhook).breaker_state === 'closed') {
+      logger.warn('Webhook circuit breaker opened', { webhookId: webhook.id, failureStreak: breakerUpdate.retry_count });
+    }
+
+    if (result.success) {
+      logger.info('Webhook delivered', { deliveryId: delivery.id, webhookId: webhook.id, attempt: attemptNumber });
+    } else {
+      logger.warn('Webhook delivery failed', {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        attempt: attemptNumber,
+        status: update.status,
+        error: result.error
+      });
+    }
+  }
+}
+
+module.exports = new WebhookDeliveryService();
@@ -0,0 +1,207 @@
+const database = require('../config/database');
+const { STATS_WINDOWS, summarizeLatency, summarize } = require('../utils/deliveryStats');
+
+// Buffered events and events already folded into a batch are not deliveries of their own
+const EXCLUDED_STATUSES = ['buffered', 'batched'];
+
+// Most recent durations per webhook used for percentiles where SQL cannot compute them (MySQL)
+const LATENCY_SAMPLE_LIMIT = 1000;
+
+/**
+ * Attempts within a window
+ * @param {Date} since - Window start
+ * @param {string|null} webhookId - Restrict to a single webhook
+ */
+const attemptsSince = (since, webhookId) => {
+  const db = database.getConnection();
+  const query = db('webhook_delivery_attempts').where('created_at', '>=', since);
+  return webhookId ? query.where('webhook_id', webhookId) : query;
+};
+
+/**
+ * Keep the latest rows of a query, per webhook or overall
+ * @param {Object} query - Query selecting webhook_id and created_at
+ * @param {Object} options - { perWebhook, limit }
+ */
+const latestRows = (query, { perWebhook, limit }) => {
+  const db = database.getConnection();
+  if (!perWebhook) {
+    return query.orderBy('created_at', 'desc').limit(limit);
+  }
+
+  const ranked = query
+    .select(db.raw('row_number() over (partition by webhook_id order by created_at desc) as row_rank'))
+    .as('ranked');
+  return db.select('*').from(ranked).where('row_rank', '<=', limit);
+};
+
+/**
+ * Latency percentiles over attempt durations, per webhook or overall
+ * @returns {Promise<Object[]>} - { webhook_id, p50, p95, samples } rows
+ */
+const loadLatency = async (since, { webhookId, perWebhook }) => {
+  const db = database.getConnection();
+  const timed = attemptsSince(since, webhookId).whereNotNull('duration_ms');
+
+  if (process.env.DB_TYPE !== 'mysql') {
+    // percentile_disc is the nearest-rank percentile, as in utils/deliveryStats
+    const query = timed.select(
+      db.raw('percentile_disc(0.5) within group (order by duration_ms) as p50'),
+      db.raw('percentile_disc(0.95) within group (order by duration_ms) as p95'),
+      db.raw('count(*) as samples')
+    );
+    return perWebhook ? query.select('webhook_id').groupBy('webhook_id') : query;
+  }
+
+  // MySQL has no percentile functions, so summarize the latest attempts instead
+  const rows = await latestRows(timed.select('webhook_id', 'duration_ms', 'created_at'), {
+    perWebhook,
+    limit: LATENCY_SAMPLE_LIMIT
+  });
+  const durations = new Map();
+  rows.forEach(row => {
+    const key = perWebhook ? row.webhook_id : null;
+    if (!durations.has(key)) durations.set(key, []);
+    durations.get(key).push(row.duration_ms);
+  });
+  return [...durations].map(([key, values]) => ({ webhook_id: key, ...summarizeLatency(values) }));
+};
+
+/**
+ * Aggregate deliveries and attempts within a window. Everything is grouped in
+ * SQL; only one row per webhook and status or status code comes back.
+ * @param {Date} since - Window start
+ * @param {Object} options - Scope
+ * @param {string|null} options.webhookId - Restrict to a single webhook
+ * @param {boolean} options.perWebhook - Return latency and last error rows per webhook
+ * @returns {Promise<Object>} - { deliveryCounts, statusCodeCounts, latency, lastErrors }
+ */
+const loadWindow = async (since, { webhookId = null, perWebhook = false } = {}) => {
+  const db = database.getConnection();
+
+  let deliveryQuery = db('webhook_deliveries')
+    .where('created_at', '>=', since)
+    .whereNotIn('status', EXCLUDED_STATUSES)
+    .select('webhook_id', 'status')
+    .count('* as count')
+    .sum('retry_count as retries')
+    .groupBy('webhook_id', 'status');
+  if (webhookId) {
+    deliveryQuery = deliveryQuery.where('webhook_id', webhookId);
+  }
+
+  const statusCodeQuery = attemptsSince(since, webhookId)
+    .select('webhook_id', 'status_code')
+    .count('* as count')
+    .groupBy('webhook_id', 'status_code');
+
+  const lastErrorQuery = latestRows(
+    attemptsSince(since, webhookId)
+      .whereNotNull('error_message')
+      .select('webhook_id', 'error_message', 'status_code', 'created_at'),
+    { perWebhook, limit: 1 }
+  );
+
+  const [deliveryCounts, statusCodeCounts, latency, lastErrors] = await Promise.all([
+    deliveryQuery,
+    statusCodeQuery,
+    loadLatency(since, { webhookId, perWebhook }),
+    lastErrorQuery
+  ]);
+  return { deliveryCounts, statusCodeCounts, latency, lastErrors };
+};
+
+/**
+ * Summarize a window loaded for a single webhook or the whole fleet
+ */
+const summarizeWindow = ({ deliveryCounts, statusCodeCounts, latency, lastErrors }) => {
+  return summarize({
+    deliveryCounts,
+    statusCodeCounts,
+    latency: latency[0] || null,
+    lastError: lastErrors[0] || null
+  });
+};
+
+/**
+ * Get the start of a stats window
+ * @param {string} window - One of STATS_WINDOWS
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getWindowStart = (window, now = new Date()) => {
+  return new Date(now.getTime() - STATS_WINDOWS[window]);
+};
+
+/**
+ * Delivery statistics for one webhook
+ * @param {string} webhookId - Webhook identifier
+ * @param {string} window - One of STATS_WINDOWS
+ * @returns {Promise<Object>}
+ */
+const getWebhookStats = async (webhookId, window) => {
+  const since = getWindowStart(window);
+  const data = await loadWindow(since, { webhookId });
+
+  return {
+    webhookId,
+    window,
+    since,
+    ...summarizeWindow(data)
+  };
+};
+
+/**
+ * Delivery statistics across every webhook, least healthy first
+ * @param {string} window - One of STATS_WINDOWS
+ * @returns {Promise<Object>}
+ */
+const getFleetStats = async (window) => {
+  const db = database.getConnection();
+  const since = getWindowStart(window);
+
+  const [webhooks, data, totals] = await Promise.all([
+    db('webhooks').select('id', 'url', 'is_active', 'breaker_state'),
+    loadWindow(since, { perWebhook: true }),
+    loadWindow(since)
+  ]);
+
+  const byWebhook = new Map(webhooks.map(webhook => [
+    webhook.id,
+    { deliveryCounts: [], statusCodeCounts: [], latency: [], lastErrors: [] }
+  ]));
+  Object.keys(data).forEach(key => {
+    data[key].forEach(row => {
+      const bucket = byWebhook.get(row.webhook_id);
+      if (bucket) bucket[key].push(row);
+    });
+  });
+
+  const perWebhook = webhooks.map(webhook => ({
+    webhookId: webhook.id,
+    url: webhook.url,
+    isActive: webhook.is_active,
+    breakerState: webhook.breaker_state || 'closed',
+    ...summarizeWindow(byWebhook.get(webhook.id))
+  }));
+
+  // Lowest success rate first; webhooks with nothing finished in the window go last
+  perWebhook.sort((a, b) => {
+    const rateA = a.deliveries.successRate === null ? Infinity : a.deliveries.successRate;
+    const rateB = b.deliveries.successRate === null ? Infinity : b.deliveries.successRate;
+    return rateA === rateB ? 0 : rateA - rateB;
+  });
+
+  return {
+    window,
+    since,
+    totals: summarizeWindow(totals),
+    webhooks: perWebhook
+  };
+};
+
+module.exports = {
+  getWindowStart,
+  getWebhookStats,
+  getFleetStats
+};
@@ -0,0 +1,102 @@
+/**
+ * Alert rules over job outcomes
+ *
+ *   max_duration  - matching jobs must finish within window of being created
+ *   failure_count - more than threshold matching jobs failed within the last window
+ *   absence       - no matching job completed within the last window
+ *
+ * Rules pick jobs with the same filters as webhook subscriptions (tags,
+ * namePattern, metadata). The queries live in services/alerting.
+ */
+
+const RULE_TYPES = ['max_duration', 'failure_count', 'absence'];
+
+const ALERT_EVENT_TYPES = ['alert_firing', 'alert_resolved'];
+
+// Rules are evaluated once a minute, so shorter windows cannot be honoured
+const MIN_RULE_WINDOW = 60 * 1000;
+const MAX_RULE_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+// Most job ids kept on an alert
+const MAX_ALERT_JOBS = 20;
+
+const WINDOW_UNITS = [
+  ['d', 24 * 60 * 60 * 1000],
+  ['h', 60 * 60 * 1000],
+  ['m', 60 * 1000],
+  ['s', 1000]
+];
+
+/**
+ * Format a window for alert messages, in the largest unit that divides it
+ * @param {number} ms - Window length in milliseconds
+ * @returns {string} - e.g. "30m" or "26h"
+ */
+const formatWindow = (ms) => {
+  const unit = WINDOW_UNITS.find(([, size]) => ms % size === 0);
+  return unit ? `${ms / unit[1]}${unit[0]}` : `${ms}ms`;
+};
+
+/**
+ * Evaluate a rule against the jobs that match it
+ * @param {Object} rule - Rule row
+ * @param {Object} matches - Matching jobs, counted by the rule's query
+ * @param {number} matches.count - How many jobs match
+ * @param {string[]} matches.jobIds - Ids of some of them
+ * @returns {{breached: boolean, value: number, jobIds: string[], message: string}}
+ */
+const evaluateRule = (rule, { count, jobIds }) => {
+  const window = formatWindow(Number(rule.window_ms));
+
+  let breached;
+  let summary;
+  switch (rule.type) {
+    case 'max_duration':
+      breached = count > 0;
+      summary = `${count} job(s) not finished within ${window}`;
+      break;
+
+    case 'failure_count':
+      breached = count > (rule.threshold || 0);
+      summary = `${count} job(s) failed in the last ${window} (threshold ${rule.threshold || 0})`;
+      break;
+
+    case 'absence':
+      breached = count === 0;
+      summary = breached ? `no job completed in the last ${window}` : `${count} job(s) completed in the last ${window}`;
+      break;
+
+    default:
+      throw new Error(`Unknown alert rule type: ${rule.type}`);
+  }
+
+  return {
+    breached,
+    value: count,
+    jobIds: jobIds.slice(0, MAX_ALERT_JOBS),
+    message: `${rule.name}: ${summary}`
+  };
+};
+
+/**
+ * Work out whether an evaluation opens or closes an alert
+ * @param {Object|null} openAlert - The rule's firing alert, if any
+ * @param {boolean} breached - Whether the rule is breached now
+ * @returns {string|null} - 'fire', 'resolve', or null if nothing changes
+ */
+const getAlertTransition = (openAlert, breached) => {
+  if (breached && !openAlert) return 'fire';
+  if (!breached && openAlert) return 'resolve';
+  return null;
+};
+
+module.exports = {
+  RULE_TYPES,
+  ALERT_EVENT_TYPES,
+  MIN_RULE_WINDOW,
+  MAX_RULE_WINDOW,
+  MAX_ALERT_JOBS,
+  formatWindow,
+  evaluateRule,
+  getAlertTransition
+};
@@ -0,0 +1,24 @@
+/**
+ * Retry backoff helpers
+ */
+
+/**
+ * Exponential backoff with jitter. Half the delay is fixed and half random,
+ * so retries from many senders spread out without collapsing to zero.
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay for the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound in milliseconds
+ * @param {Function} options.random - Random source returning [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+const computeBackoff = (attempt, { baseDelay = 1000, maxDelay = 60 * 60 * 1000, random = Math.random } = {}) => {
+  const exponent = Math.max(0, attempt - 1);
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, exponent));
+  const half = delay / 2;
+  return Math.round(half + random() * half);
+};
+
+module.exports = {
+  computeBackoff
+};
@@ -0,0 +1,122 @@
+/**
+ * Per-webhook circuit breaker
+ *
+ *   closed    - deliveries flow normally
+ *   open      - the receiver failed `threshold` times in a row; deliveries are
+ *               paused until the next probe time
+ *   half_open - one probe delivery is in flight; success closes the breaker,
+ *               failure re-opens it with a longer probe interval
+ *
+ * A breaker that stays open longer than `disableAfter` disables the webhook.
+ * webhooks.retry_count holds the current streak of consecutive failures.
+ */
+
+const BREAKER_STATES = ['closed', 'open', 'half_open'];
+
+/**
+ * Read breaker settings from the environment
+ * @returns {Object}
+ */
+const getBreakerConfig = () => ({
+  threshold: parseInt(process.env.WEBHOOK_BREAKER_THRESHOLD) || 5,
+  probeInterval: parseInt(process.env.WEBHOOK_BREAKER_PROBE_INTERVAL) || 60 * 1000,
+  maxProbeInterval: parseInt(process.env.WEBHOOK_BREAKER_MAX_PROBE_INTERVAL) || 60 * 60 * 1000,
+  disableAfter: parseInt(process.env.WEBHOOK_BREAKER_DISABLE_AFTER) || 24 * 60 * 60 * 1000,
+  probeLease: (parseInt(process.env.WEBHOOK_TIMEOUT) || 5000) * 2
+});
+
+/**
+ * Delay before the next probe; doubles with every failure past the threshold
+ * @param {number} streak - Consecutive failures
+ * @param {Object} config - Breaker config
+ * @returns {number} - Milliseconds
+ */
+const getProbeDelay = (streak, config) => {
+  const exponent = Math.max(0, streak - config.threshold);
+  return Math.min(config.maxProbeInterval, config.probeInterval * Math.pow(2, exponent));
+};
+
+/**
+ * Decide what to do with a due delivery for a webhook
+ * @param {Object} webhook - Webhook row
+ * @param {Date} now - Current time
+ * @returns {string} - 'send', 'probe' or 'defer'
+ */
+const getDispatchDecision = (webhook, now = new Date()) => {
+  const state = webhook.breaker_state || 'closed';
+  if (state === 'closed') return 'send';
+
+  // Half-open breakers hold a probe lease in next_probe_at; an expired lease
+  // means the probing worker died, so another probe may go out
+  const nextProbeAt = webhook.next_probe_at ? new Date(webhook.next_probe_at) : null;
+  if (!nextProbeAt || nextProbeAt <= now) return 'probe';
+
+  return 'defer';
+};
+
+/**
+ * Compute the webhook columns to write after a delivery attempt
+ * @param {Object} webhook - Webhook row before the attempt
+ * @param {boolean} success - Whether the attempt succeeded
+ * @param {Date} now - Attempt time
+ * @param {Object} config - Breaker config
+ * @returns {Object} - Columns to update on the webhook
+ */
+const evaluateAttempt = (webhook, success, now = new Date(), config = getBreakerConfig()) => {
+  if (success) {
+    return {
+      retry_count: 0,
+      breaker_state: 'closed',
+      breaker_opened_at: null,
+      next_probe_at: null,
+      last_triggered: now
+    };
+  }
+
+  const streak = (webhook.retry_count || 0) + 1;
+  const state = webhook.breaker_state || 'closed';
+  const update = { retry_count: streak };
+
+  if (state === 'closed' && streak < config.threshold) {
+    return update;
+  }
+
+  const openedAt = state === 'closed' || !webhook.breaker_opened_at
+    ? now
+    : new Date(webhook.breaker_opened_at);
+
+  update.breaker_state = 'open';
+  update.breaker_opened_at = openedAt;
+  update.next_probe_at = new Date(now.getTime() + getProbeDelay(streak, config));
+
+  if (now.getTime() - openedAt.getTime() >= config.disableAfter) {
+    update.is_active = false;
+    update.next_probe_at = null;
+    update.disabled_at = now;
+    update.disabled_reason = `Circuit breaker open since ${openedAt.toISOString()} after ${streak} consecutive failures`;
+  }
+
+  return update;
+};
+
+/**
+ * Columns that reset a webhook's breaker, e.g. when it is re-enabled by hand
+ * @returns {Object}
+ */
+const resetBreaker = () => ({
+  retry_count: 0,
+  breaker_state: 'closed',
+  breaker_opened_at: null,
+  next_probe_at: null,
+  disabled_at: null,
+  disabled_reason: null
+});
+
+module.exports = {
+  BREAKER_STATES,
+  getBreakerConfig,
+  getProbeDelay,
+  getDispatchDecision,
+  evaluateAttempt,
+  resetBreaker
+};
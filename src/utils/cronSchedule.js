@@ -0,0 +1,56 @@
+/**
+ * Cron schedule helpers
+ *
+ * Schedules use standard five-field cron expressions (minute precision), so
+ * every replica agrees on which minute a tick belongs to even when their
+ * clocks are a few seconds apart.
+ */
+
+const cron = require('node-cron');
+
+/**
+ * Check a cron expression
+ * @param {string} expression - Five-field cron expression, e.g. "0 2 * * *"
+ * @returns {string|null} - Problem with the expression, or null if it is valid
+ */
+const checkCronExpression = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    return 'must have five fields (minute hour day-of-month month day-of-week)';
+  }
+  if (!cron.validate(fields.join(' '))) {
+    return 'is not a valid cron expression';
+  }
+  return null;
+};
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timezone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * The scheduled minute a tick belongs to, rounded so replicas with slightly
+ * different clocks pick the same one
+ * @param {Date} firedAt - When the local cron task fired
+ * @returns {Date}
+ */
+const getFireSlot = (firedAt) => {
+  const minute = 60 * 1000;
+  return new Date(Math.round(firedAt.getTime() / minute) * minute);
+};
+
+module.exports = {
+  checkCronExpression,
+  isValidTimezone,
+  getFireSlot
+};
@@ -0,0 +1,16 @@
+/**
+ * Database error classification, for PostgreSQL and MySQL
+ */
+
+/**
+ * Check whether an error is a unique constraint violation
+ * @param {Error} error - Error thrown by a query
+ * @returns {boolean}
+ */
+const isUniqueViolation = (error) => {
+  return Boolean(error) && (error.code === '23505' || error.code === 'ER_DUP_ENTRY');
+};
+
+module.exports = {
+  isUniqueViolation
+};
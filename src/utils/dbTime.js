@@ -0,0 +1,57 @@
+/**
+ * Date arithmetic in SQL, for PostgreSQL and MySQL
+ *
+ * The helpers return raw SQL fragments built from trusted column expressions;
+ * never pass request input to them.
+ */
+
+/**
+ * Arguments for GREATEST/LEAST that skip nulls. MySQL returns null as soon as
+ * one argument is null, so every argument falls back to the others.
+ * @param {string[]} columns - Column names or SQL expressions
+ * @returns {string[]}
+ */
+const withFallbacks = (columns) => columns.map((column, index) => {
+  const rest = columns.filter((other, otherIndex) => otherIndex !== index);
+  return `coalesce(${[column, ...rest].join(', ')})`;
+});
+
+/**
+ * The latest of several nullable timestamps, or null if all are null
+ * @param {string[]} columns - Column names or SQL expressions
+ * @returns {string} - SQL expression
+ */
+const latestOf = (columns) => {
+  if (columns.length === 1) return columns[0];
+  return `greatest(${withFallbacks(columns).join(', ')})`;
+};
+
+/**
+ * The earliest of several nullable timestamps, or null if all are null
+ * @param {string[]} columns - Column names or SQL expressions
+ * @returns {string} - SQL expression
+ */
+const earliestOf = (columns) => {
+  if (columns.length === 1) return columns[0];
+  return `least(${withFallbacks(columns).join(', ')})`;
+};
+
+/**
+ * A timestamp plus a number of milliseconds
+ * @param {string} timestamp - SQL timestamp expression
+ * @param {string} milliseconds - SQL numeric expression
+ * @param {string} dbType - Database type (DB_TYPE)
+ * @returns {string} - SQL expression
+ */
+const addMilliseconds = (timestamp, milliseconds, dbType = process.env.DB_TYPE) => {
+  if (dbType === 'mysql') {
+    return `date_add(${timestamp}, interval ${milliseconds} * 1000 microsecond)`;
+  }
+  return `${timestamp} + ${milliseconds} * interval '1 millisecond'`;
+};
+
+module.exports = {
+  latestOf,
+  earliestOf,
+  addMilliseconds
+};
@@ -0,0 +1,112 @@
+/**
+ * Webhook delivery statistics
+ *
+ * Pure aggregation over the grouped delivery and attempt rows returned by
+ * the queries in services/webhookStats.
+ */
+
+const STATS_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+/**
+ * Latency percentiles over a sample of attempt durations
+ * @param {number[]} durations - Durations in ms, in any order
+ * @returns {{p50: number|null, p95: number|null, samples: number}}
+ */
+const summarizeLatency = (durations) => {
+  const sorted = durations.map(Number).sort((a, b) => a - b);
+  return {
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    samples: sorted.length
+  };
+};
+
+/**
+ * Read a numeric aggregate, which drivers may return as a string
+ */
+const toNumber = (value) => {
+  return value === null || value === undefined ? null : Number(value);
+};
+
+/**
+ * Summarize a webhook's deliveries and attempts
+ * @param {Object} data - Aggregated rows
+ * @param {Object[]} data.deliveryCounts - { status, count, retries } per delivery status
+ * @param {Object[]} data.statusCodeCounts - { status_code, count } per attempt status code
+ * @param {Object|null} data.latency - { p50, p95, samples } over attempt durations
+ * @param {Object|null} data.lastError - Latest attempt with an error (error_message, status_code, created_at)
+ * @returns {Object} - Statistics
+ */
+const summarize = ({ deliveryCounts = [], statusCodeCounts = [], latency = null, lastError = null }) => {
+  const deliveries = { total: 0, delivered: 0, failed: 0, pending: 0 };
+  let retries = 0;
+
+  deliveryCounts.forEach(row => {
+    const count = parseInt(row.count) || 0;
+    deliveries.total += count;
+    if (row.status === 'delivered' || row.status === 'failed') {
+      deliveries[row.status] += count;
+    } else {
+      // 'sending' is a pending delivery that is being attempted right now
+      deliveries.pending += count;
+    }
+    retries += parseInt(row.retries) || 0;
+  });
+
+  const finished = deliveries.delivered + deliveries.failed;
+
+  const statusCodes = {};
+  let attempts = 0;
+  statusCodeCounts.forEach(row => {
+    // Attempts without a status code never got a response (timeouts, refused connections)
+    const key = row.status_code ? String(row.status_code) : 'error';
+    const count = parseInt(row.count) || 0;
+    statusCodes[key] = (statusCodes[key] || 0) + count;
+    attempts += count;
+  });
+
+  return {
+    deliveries: {
+      ...deliveries,
+      successRate: finished > 0 ? Math.round((deliveries.delivered / finished) * 10000) / 10000 : null
+    },
+    attempts,
+    retries,
+    latency: {
+      p50: latency ? toNumber(latency.p50) : null,
+      p95: latency ? toNumber(latency.p95) : null,
+      samples: latency ? parseInt(latency.samples) || 0 : 0
+    },
+    statusCodes,
+    lastError: lastError
+      ? {
+        message: lastError.error_message,
+        statusCode: lastError.status_code,
+        at: lastError.created_at
+      }
+      : null
+  };
+};
+
+module.exports = {
+  STATS_WINDOWS,
+  percentile,
+  summarizeLatency,
+  summarize
+};
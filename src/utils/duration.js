@@ -0,0 +1,34 @@
+/**
+ * Duration parsing helpers
+ */
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i;
+
+/**
+ * Parse a human duration such as "30s", "500ms", "2m" or "1h"
+ * @param {string|number} value - Duration, bare numbers use defaultUnit
+ * @param {string} defaultUnit - Unit applied to bare numbers
+ * @returns {number|null} - Milliseconds, or null if the value is not a duration
+ */
+const parseDuration = (value, defaultUnit = 's') => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const match = String(value).trim().match(DURATION_PATTERN);
+  if (!match) return null;
+
+  const unit = (match[2] || defaultUnit).toLowerCase();
+  return Math.round(parseFloat(match[1]) * UNIT_MS[unit]);
+};
+
+module.exports = {
+  DURATION_PATTERN,
+  parseDuration
+};
@@ -0,0 +1,145 @@
+/**
+ * Idempotency keys
+ *
+ * A request sent with an Idempotency-Key is stored under that key (scoped to
+ * the caller) together with a fingerprint of its body. Repeating the key with
+ * the same body replays the stored response; a different body is rejected.
+ * Only successful responses are kept, so a request that failed can be retried
+ * with the same key.
+ */
+
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+const KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+/**
+ * Resolve the configured key lifetimes
+ * @returns {{ttl: number, pendingTtl: number}} - ttl keeps a stored response;
+ *   pendingTtl bounds how long a request in flight holds its key, in ms
+ */
+const getIdempotencySettings = () => {
+  return {
+    ttl: parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000,
+    pendingTtl: parseInt(process.env.IDEMPOTENCY_PENDING_TTL) || 5 * 60 * 1000
+  };
+};
+
+/**
+ * Check an Idempotency-Key header value
+ * @param {string} key - Header value
+ * @returns {string|null} - Reason the key is rejected, or null
+ */
+const checkIdempotencyKey = (key) => {
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return `must be between 1 and ${MAX_KEY_LENGTH} characters`;
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return 'must only contain printable ASCII characters without spaces';
+  }
+  return null;
+};
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies serialize equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint a request body
+ * @param {*} body - Request body
+ * @returns {string} - SHA-256 hex digest
+ */
+const getFingerprint = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body === undefined ? null : body)).digest('hex');
+};
+
+/**
+ * The part of a bulk request an idempotency key covers. Creates are compared
+ * as a set, since their order has no effect; updates and deletes keep their
+ * order, since a later one can depend on an earlier one.
+ * @param {Object[]} operations - Bulk operations
+ * @returns {Object} - Body to fingerprint
+ */
+const getBulkRequestBody = (operations) => {
+  const creates = operations.filter(op => op.operation === 'create');
+  const changes = operations.filter(op => op.operation !== 'create');
+  return {
+    creates: creates.map(op => getFingerprint(op.data)).sort(),
+    changes
+  };
+};
+
+/**
+ * Storage key for an idempotency key, scoped to the caller and the operation
+ * @param {string|null} actor - Caller, see middleware/auth getActor
+ * @param {string} scope - Operation the key applies to
+ * @param {string} key - Client-supplied key
+ * @returns {string} - SHA-256 hex digest
+ */
+const getStorageKey = (actor, scope, key) => {
+  return crypto.createHash('sha256').update([actor || '', scope, key].join('\n')).digest('hex');
+};
+
+/**
+ * Decide what a request does with a key that is already stored
+ * @param {Object} record - Stored record
+ * @param {string} record.fingerprint - Fingerprint of the original body
+ * @param {Object|null} record.response - { status, body }, null while the original is in flight
+ * @param {string} fingerprint - Fingerprint of this request's body
+ * @returns {{replay: Object}|{error: {status: number, body: Object}}}
+ */
+const resolveExisting = (record, fingerprint) => {
+  if (record.fingerprint !== fingerprint) {
+    return {
+      error: {
+        status: 422,
+        body: {
+          error: 'Idempotency-Key was already used with a different request body',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        }
+      }
+    };
+  }
+
+  if (!record.response) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_USE'
+        }
+      }
+    };
+  }
+
+  return { replay: record.response };
+};
+
+module.exports = {
+  MAX_KEY_LENGTH,
+  getIdempotencySettings,
+  checkIdempotencyKey,
+  stableStringify,
+  getFingerprint,
+  getBulkRequestBody,
+  getStorageKey,
+  resolveExisting
+};
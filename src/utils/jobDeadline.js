@@ -0,0 +1,77 @@
+/**
+ * Job deadlines and runtime budgets
+ *
+ * deadline_at is when the job as a whole must be finished; max_runtime is how
+ * long a single run may stay running. Whichever comes first times the job out.
+ */
+
+const { TERMINAL_STATUSES, getTransitionTimestamps } = require('./jobStatus');
+
+const TIMEOUT_ERROR = 'timeout';
+
+/**
+ * When the current run exceeds its runtime budget
+ * @param {Object} job - Job row
+ * @returns {Date|null}
+ */
+const getRuntimeDeadline = (job) => {
+  if (job.status !== 'running' || !job.max_runtime || !job.started_at) return null;
+  return new Date(new Date(job.started_at).getTime() + Number(job.max_runtime));
+};
+
+/**
+ * The earlier of the job's deadline and its runtime deadline
+ * @param {Object} job - Job row
+ * @returns {{at: Date, reason: string}|null} - reason is 'deadline' or 'runtime'
+ */
+const getTimeout = (job) => {
+  if (TERMINAL_STATUSES.includes(job.status)) return null;
+
+  const candidates = [];
+  if (job.deadline_at) {
+    candidates.push({ at: new Date(job.deadline_at), reason: 'deadline' });
+  }
+  const runtimeDeadline = getRuntimeDeadline(job);
+  if (runtimeDeadline) {
+    candidates.push({ at: runtimeDeadline, reason: 'runtime' });
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((earliest, candidate) => (candidate.at < earliest.at ? candidate : earliest));
+};
+
+/**
+ * Seconds until the job times out, for countdowns
+ * @param {Object} job - Job row
+ * @param {Date} now - Current time
+ * @returns {number|null} - null for finished jobs and jobs without a deadline
+ */
+const getRemainingSeconds = (job, now = new Date()) => {
+  const timeout = getTimeout(job);
+  if (!timeout) return null;
+  return Math.max(0, Math.ceil((timeout.at.getTime() - now.getTime()) / 1000));
+};
+
+/**
+ * Compute the update that fails a timed out job
+ * @param {Object} job - Job row
+ * @param {Date} now - Current time
+ * @returns {Object} - Columns to update
+ */
+const getTimeoutUpdate = (job, now = new Date()) => {
+  return {
+    status: 'failed',
+    error: TIMEOUT_ERROR,
+    lease_expires_at: null,
+    ...getTransitionTimestamps(job.status, 'failed', now),
+    updated_at: now
+  };
+};
+
+module.exports = {
+  TIMEOUT_ERROR,
+  getRuntimeDeadline,
+  getTimeout,
+  getRemainingSeconds,
+  getTimeoutUpdate
+};
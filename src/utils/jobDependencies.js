@@ -0,0 +1,81 @@
+/**
+ * Job dependency (DAG) rules
+ *
+ * Each dependency edge is 'waiting' until the job it points at finishes, then
+ * 'satisfied' (it completed) or 'failed' (it failed, was cancelled or was
+ * removed before completing). A job with waiting edges is 'blocked'; once all
+ * edges are satisfied it moves to 'pending', and a failed edge cancels it.
+ */
+
+const DEPENDENCY_STATES = ['waiting', 'satisfied', 'failed'];
+
+/**
+ * Edge state implied by the status of the job depended on
+ * @param {string|null} status - Status of the dependency, null if it no longer exists
+ * @returns {string} - One of DEPENDENCY_STATES
+ */
+const getEdgeState = (status) => {
+  if (status === 'completed') return 'satisfied';
+  if (status === null || status === 'failed' || status === 'cancelled') return 'failed';
+  return 'waiting';
+};
+
+/**
+ * Derive a dependent job's status from its dependency edges
+ * @param {Object[]} edges - Edges (depends_on_id, state)
+ * @returns {{status: string, error: string|null}}
+ */
+const deriveDependentStatus = (edges) => {
+  const failed = edges.find(edge => edge.state === 'failed');
+  if (failed) {
+    return { status: 'cancelled', error: `Dependency ${failed.depends_on_id} did not complete` };
+  }
+
+  if (edges.some(edge => edge.state === 'waiting')) {
+    return { status: 'blocked', error: null };
+  }
+
+  return { status: 'pending', error: null };
+};
+
+/**
+ * Find whether adding edges from jobId would close a cycle
+ * @param {string} jobId - Job gaining dependencies
+ * @param {string[]} dependsOn - Jobs it will depend on
+ * @param {Function} getDependencies - async (jobIds) => edges (job_id, depends_on_id) leaving those jobs
+ * @returns {Promise<string[]|null>} - The cycle as a list of job ids, or null
+ */
+const findCycle = async (jobId, dependsOn, getDependencies) => {
+  // Breadth-first walk along depends-on edges, remembering how each job was reached
+  const reachedFrom = new Map(dependsOn.map(id => [id, jobId]));
+  let frontier = [...new Set(dependsOn)];
+
+  while (frontier.length > 0) {
+    if (reachedFrom.has(jobId)) break;
+
+    const edges = await getDependencies(frontier);
+    frontier = [];
+    edges.forEach(edge => {
+      if (!reachedFrom.has(edge.depends_on_id)) {
+        reachedFrom.set(edge.depends_on_id, edge.job_id);
+        frontier.push(edge.depends_on_id);
+      }
+    });
+  }
+
+  if (!reachedFrom.has(jobId)) return null;
+
+  const cycle = [jobId];
+  for (let current = reachedFrom.get(jobId); current !== jobId; current = reachedFrom.get(current)) {
+    cycle.unshift(current);
+  }
+  cycle.unshift(jobId);
+  return cycle;
+};
+
+module.exports = {
+  DEPENDENCY_STATES,
+  getEdgeState,
+  deriveDependentStatus,
+  findCycle
+};
@@ -0,0 +1,84 @@
+/**
+ * Job event derivation
+ *
+ * Maps a job mutation to every webhook event type it produces, so all
+ * mutation paths (single, bulk, TTL cleanup) notify subscribers the same way.
+ */
+
+const EVENT_TYPES = [
+  'created',
+  'status_change',
+  'progress_update',
+  'completion',
+  'failure',
+  'unblocked',
+  'deleted',
+  'expired'
+];
+
+const MUTATIONS = ['created', 'updated', 'deleted', 'expired'];
+
+/**
+ * Events implied by a job entering a status
+ */
+const STATUS_EVENTS = {
+  completed: 'completion',
+  failed: 'failure'
+};
+
+/**
+ * Derive the event types for a job mutation
+ * @param {string} mutation - 'created', 'updated', 'deleted' or 'expired'
+ * @param {Object|null} previousState - Job row before the mutation
+ * @param {Object|null} job - Job row after the mutation
+ * @returns {string[]} - Event types, in delivery order
+ */
+const deriveEventTypes = (mutation, previousState, job) => {
+  switch (mutation) {
+    case 'created': {
+      const events = ['created'];
+      if (job && STATUS_EVENTS[job.status]) {
+        events.push(STATUS_EVENTS[job.status]);
+      }
+      return events;
+    }
+
+    case 'updated': {
+      const events = [];
+      if (!previousState || !job) return events;
+
+      if (job.status !== previousState.status) {
+        events.push('status_change');
+        if (STATUS_EVENTS[job.status]) {
+          events.push(STATUS_EVENTS[job.status]);
+        }
+        // Leaving blocked, either to pending or cancelled by a failed dependency
+        if (previousState.status === 'blocked') {
+          events.push('unblocked');
+        }
+      }
+
+      if (job.progress !== previousState.progress) {
+        events.push('progress_update');
+      }
+
+      return events;
+    }
+
+    case 'deleted':
+      return ['deleted'];
+
+    // TTL expiry has its own event; subscribe to both to hear about every removal
+    case 'expired':
+      return ['expired'];
+
+    default:
+      return [];
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  MUTATIONS,
+  deriveEventTypes
+};
@@ -0,0 +1,134 @@
+/**
+ * Worker leases and heartbeats
+ *
+ * A worker that claims a job holds a lease on it until lease_expires_at and
+ * renews it with heartbeats. A lease that runs out means the worker is gone:
+ * the job goes back to pending, or fails, depending on JOB_LEASE_EXPIRY_ACTION.
+ *
+ * Independently of leases, a job with a heartbeat_timeout fails once it has
+ * been running that long without a heartbeat.
+ */
+
+const { getTransitionTimestamps } = require('./jobStatus');
+
+const EXPIRY_ACTIONS = ['requeue', 'fail'];
+
+/**
+ * Resolve the configured lease settings
+ * @returns {{duration: number, maxDuration: number, expiryAction: string}}
+ */
+const getLeaseSettings = () => {
+  const expiryAction = (process.env.JOB_LEASE_EXPIRY_ACTION || 'requeue').toLowerCase();
+  return {
+    duration: parseInt(process.env.JOB_LEASE_DURATION) || 5 * 60 * 1000,
+    maxDuration: parseInt(process.env.JOB_LEASE_MAX_DURATION) || 24 * 60 * 60 * 1000,
+    expiryAction: EXPIRY_ACTIONS.includes(expiryAction) ? expiryAction : 'requeue'
+  };
+};
+
+/**
+ * Work out when a lease taken or renewed now runs out
+ * @param {number|null} requested - Lease length asked for, in ms
+ * @param {Object} settings - From getLeaseSettings
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getLeaseExpiry = (requested, settings, now = new Date()) => {
+  const duration = Math.min(requested || settings.duration, settings.maxDuration);
+  return new Date(now.getTime() + duration);
+};
+
+/**
+ * Compute the update applied to a running job whose lease ran out
+ * @param {Object} job - Job row
+ * @param {string} action - One of EXPIRY_ACTIONS
+ * @param {Date} now - Current time
+ * @returns {Object} - Columns to update
+ */
+const getExpiryUpdate = (job, action, now = new Date()) => {
+  if (action === 'fail') {
+    return {
+      status: 'failed',
+      error: `Lease held by ${job.lease_owner} expired`,
+      lease_expires_at: null,
+      ...getTransitionTimestamps(job.status, 'failed', now),
+      updated_at: now
+    };
+  }
+
+  // Requeued jobs start over; the next claim sets started_at again
+  return {
+    status: 'pending',
+    error: `Lease held by ${job.lease_owner} expired`,
+    lease_owner: null,
+    lease_expires_at: null,
+    started_at: null,
+    updated_at: now
+  };
+};
+
+/**
+ * When a running job with a heartbeat timeout is considered stale. The clock
+ * starts at the later of the last heartbeat and the start of the current run.
+ * @param {Object} job - Job row
+ * @returns {Date|null} - null if the job has no heartbeat timeout
+ */
+const getHeartbeatDeadline = (job) => {
+  if (!job.heartbeat_timeout) return null;
+
+  // Jobs set to running before started_at was recorded fall back to updated_at
+  const signs = [job.last_heartbeat_at, job.started_at].filter(Boolean);
+  const since = signs.length > 0 ? signs : [job.updated_at].filter(Boolean);
+  if (since.length === 0) return null;
+
+  const lastSign = Math.max(...since.map(time => new Date(time).getTime()));
+  return new Date(lastSign + Number(job.heartbeat_timeout));
+};
+
+/**
+ * Compute the update that fails a job whose heartbeat is overdue
+ * @param {Object} job - Job row
+ * @param {Date} now - Current time
+ * @returns {Object} - Columns to update
+ */
+const getStaleUpdate = (job, now = new Date()) => {
+  const seconds = Math.round(Number(job.heartbeat_timeout) / 1000);
+  return {
+    status: 'failed',
+    error: `No heartbeat received for ${seconds}s; the worker is presumed dead`,
+    lease_expires_at: null,
+    ...getTransitionTimestamps(job.status, 'failed', now),
+    updated_at: now
+  };
+};
+
+/**
+ * Columns that end a lease when a job leaves running by any other route
+ * @param {string} from - Current status
+ * @param {string|undefined} to - Requested status
+ * @returns {Object}
+ */
+const getLeaseRelease = (from, to) => {
+  if (from !== 'running' || !to || to === 'running') return {};
+  return { lease_expires_at: null };
+};
+
+/**
+ * Turn a claim name filter into a LIKE pattern; '*' matches any run of characters
+ * @param {string} pattern - Exact name, or a glob such as "nightly-*"
+ * @returns {string}
+ */
+const globToLike = (pattern) => {
+  return pattern.replace(/[\\%_]/g, char => `\\${char}`).replace(/\*/g, '%');
+};
+
+module.exports = {
+  EXPIRY_ACTIONS,
+  getLeaseSettings,
+  getLeaseExpiry,
+  getExpiryUpdate,
+  getHeartbeatDeadline,
+  getStaleUpdate,
+  getLeaseRelease,
+  globToLike
+};
@@ -0,0 +1,105 @@
+/**
+ * Job attempts and retry policies
+ *
+ * Every time a job enters running it starts a new attempt. When an attempt
+ * fails and the job's retry_policy allows another, the job goes back to
+ * pending instead of failed, and is not handed to workers before retry_at.
+ */
+
+const { computeBackoff } = require('./backoff');
+const { parseJson } = require('./json');
+
+const BACKOFF_TYPES = ['fixed', 'exponential'];
+
+// Jobs without a policy get a single attempt
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  backoff: 'exponential',
+  delay: 1000,
+  maxDelay: 60 * 60 * 1000
+};
+
+/**
+ * Parse a job's retry_policy column, filling in defaults
+ * @param {string|Object|null} value - Stored policy
+ * @returns {Object}
+ */
+const parseRetryPolicy = (value) => {
+  return { ...DEFAULT_RETRY_POLICY, ...parseJson(value, {}) };
+};
+
+/**
+ * Columns that start a new attempt when a job enters running
+ * @param {Object|null} job - Job row before the change (null on create)
+ * @param {string|undefined} to - Requested status
+ * @returns {Object}
+ */
+const getAttemptStart = (job, to) => {
+  const from = job ? job.status : null;
+  if (to !== 'running' || from === 'running') return {};
+  // The previous attempt's error stays on its job_attempts row
+  return { attempt: ((job && job.attempt) || 0) + 1, retry_at: null, error: null };
+};
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Parsed retry policy
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} - Milliseconds
+ */
+const getRetryDelay = (policy, attempt, random = Math.random) => {
+  if (policy.backoff === 'fixed') return policy.delay;
+  return computeBackoff(attempt, { baseDelay: policy.delay, maxDelay: policy.maxDelay, random });
+};
+
+/**
+ * Turn an update that fails a job into a retry when its policy allows one
+ * @param {Object} job - Job row before the update
+ * @param {Object} update - Columns about to be written
+ * @param {Date} now - Current time
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Object} - The update, or one that schedules the job back to pending
+ */
+const applyRetryPolicy = (job, update, now = new Date(), random = Math.random) => {
+  if (update.status !== 'failed' || job.status !== 'running') return update;
+
+  // A policy set in the same update already applies
+  const policy = parseRetryPolicy(update.retry_policy !== undefined ? update.retry_policy : job.retry_policy);
+  const attempt = job.attempt || 0;
+  if (attempt >= policy.maxAttempts) return update;
+
+  const retry = {
+    ...update,
+    status: 'pending',
+    retry_at: new Date(now.getTime() + getRetryDelay(policy, attempt, random)),
+    started_at: null,
+    lease_owner: null,
+    lease_expires_at: null
+  };
+  delete retry.failed_at;
+  return retry;
+};
+
+/**
+ * How the current attempt ended, if the change ended it
+ * @param {Object|null} previousState - Job row before the change
+ * @param {Object} job - Job row after the change
+ * @returns {string|null} - 'completed', 'failed' or 'cancelled'; null if no attempt ended
+ */
+const getAttemptOutcome = (previousState, job) => {
+  if (!previousState || previousState.status !== 'running' || job.status === 'running') return null;
+
+  // Back to pending means the attempt failed and is being retried or requeued
+  return job.status === 'pending' ? 'failed' : job.status;
+};
+
+module.exports = {
+  BACKOFF_TYPES,
+  DEFAULT_RETRY_POLICY,
+  parseRetryPolicy,
+  getAttemptStart,
+  getRetryDelay,
+  applyRetryPolicy,
+  getAttemptOutcome
+};
@@ -0,0 +1,60 @@
+/**
+ * Roll-up of child jobs into their parent
+ *
+ * A parent with rollup set takes its progress and status from its children:
+ *
+ *   progress - mean child progress ('unweighted'), or weighted by each
+ *              child's weight ('weighted'). Completed children count as 100.
+ *   status   - failed if any child failed; completed once every child that was
+ *              not cancelled has completed; cancelled if every child was
+ *              cancelled; running once any child has started.
+ */
+
+const ROLLUP_MODES = ['unweighted', 'weighted'];
+
+/**
+ * Compute a parent's progress and status from its children
+ * @param {Object[]} children - Child rows (status, progress, weight)
+ * @param {string} mode - One of ROLLUP_MODES
+ * @returns {{progress: number, status: string|null, failedCount: number}|null} - null without children.
+ *   status is null when the children do not imply a change (all pending).
+ */
+const computeRollup = (children, mode) => {
+  if (!children || children.length === 0) return null;
+
+  let totalWeight = 0;
+  let weightedProgress = 0;
+  children.forEach(child => {
+    const weight = mode === 'weighted' ? Math.max(Number(child.weight) || 0, 0) : 1;
+    const progress = child.status === 'completed' ? 100 : Number(child.progress) || 0;
+    totalWeight += weight;
+    weightedProgress += progress * weight;
+  });
+
+  const count = (status) => children.filter(child => child.status === status).length;
+  const failedCount = count('failed');
+  const cancelledCount = count('cancelled');
+  const completedCount = count('completed');
+
+  let status = null;
+  if (failedCount > 0) {
+    status = 'failed';
+  } else if (cancelledCount === children.length) {
+    status = 'cancelled';
+  } else if (completedCount + cancelledCount === children.length) {
+    status = 'completed';
+  } else if (completedCount > 0 || count('running') > 0) {
+    status = 'running';
+  }
+
+  return {
+    progress: totalWeight > 0 ? Math.round(weightedProgress / totalWeight) : 0,
+    status,
+    failedCount
+  };
+};
+
+module.exports = {
+  ROLLUP_MODES,
+  computeRollup
+};
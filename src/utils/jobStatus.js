@@ -0,0 +1,152 @@
+/**
+ * Job status state machine
+ *
+ * Central transition table shared by every route that changes a job's status.
+ */
+
+const JOB_STATUSES = ['blocked', 'pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Default transitions: pending -> running -> completed/failed/cancelled.
+ * Jobs waiting on dependencies start as blocked and move to pending (or
+ * cancelled) when the dependencies resolve.
+ */
+const DEFAULT_TRANSITIONS = {
+  blocked: ['pending', 'cancelled'],
+  pending: ['running', 'cancelled'],
+  running: ['completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+/**
+ * Timestamp column set when a job enters a status
+ */
+const STATUS_TIMESTAMPS = {
+  running: 'started_at',
+  completed: 'completed_at',
+  failed: 'failed_at',
+  cancelled: 'cancelled_at'
+};
+
+/**
+ * Parse re-open paths from configuration
+ * @param {string} value - Comma separated "from:to" pairs, e.g. "failed:pending,cancelled:pending"
+ * @returns {Object} - Map of from status to additional allowed statuses
+ */
+const parseReopenTransitions = (value) => {
+  const reopen = {};
+  if (!value) return reopen;
+
+  value.split(',').forEach(pair => {
+    const [from, to] = pair.split(':').map(part => part && part.trim());
+    if (JOB_STATUSES.includes(from) && JOB_STATUSES.includes(to) && from !== to) {
+      reopen[from] = reopen[from] || [];
+      reopen[from].push(to);
+    }
+  });
+
+  return reopen;
+};
+
+/**
+ * Build the transition table, including configured re-open paths
+ * @param {string} reopenConfig - Value of JOB_REOPEN_TRANSITIONS
+ * @returns {Object} - Map of status to allowed next statuses
+ */
+const buildTransitions = (reopenConfig = process.env.JOB_REOPEN_TRANSITIONS) => {
+  const reopen = parseReopenTransitions(reopenConfig);
+  const transitions = {};
+
+  Object.entries(DEFAULT_TRANSITIONS).forEach(([from, targets]) => {
+    transitions[from] = [...new Set([...targets, ...(reopen[from] || [])])];
+  });
+
+  return transitions;
+};
+
+/**
+ * Get the statuses a job may move to from its current status
+ * @param {string} from - Current status
+ * @returns {string[]} - Allowed next statuses
+ */
+const getAllowedTransitions = (from) => {
+  return buildTransitions()[from] || [];
+};
+
+/**
+ * Check whether a status change is allowed. Staying in the same status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  if (!to || from === to) return true;
+  return getAllowedTransitions(from).includes(to);
+};
+
+/**
+ * Compute the timestamp columns to write when a job moves between statuses
+ * @param {string|null} from - Current status (null for a new job)
+ * @param {string} to - New status
+ * @param {Date} now - Transition time
+ * @returns {Object} - Columns to merge into the update
+ */
+const getTransitionTimestamps = (from, to, now = new Date()) => {
+  const updates = {};
+  if (!to || from === to) return updates;
+
+  const column = STATUS_TIMESTAMPS[to];
+  if (column) {
+    updates[column] = now;
+  }
+
+  // Re-opening a job clears the terminal timestamps of its previous run
+  if (from && TERMINAL_STATUSES.includes(from) && !TERMINAL_STATUSES.includes(to)) {
+    TERMINAL_STATUSES.forEach(status => {
+      updates[STATUS_TIMESTAMPS[status]] = null;
+    });
+  }
+
+  return updates;
+};
+
+/**
+ * Error raised when a requested status change is not in the transition table
+ */
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot transition job from '${from}' to '${to}'`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = getAllowedTransitions(from);
+  }
+}
+
+/**
+ * Throw if a status change is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+};
+
+module.exports = {
+  JOB_STATUSES,
+  TERMINAL_STATUSES,
+  STATUS_TIMESTAMPS,
+  buildTransitions,
+  getAllowedTransitions,
+  canTransition,
+  getTransitionTimestamps,
+  assertTransition,
+  InvalidTransitionError
+};
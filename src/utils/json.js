@@ -0,0 +1,40 @@
+/**
+ * JSON column helpers
+ */
+
+/**
+ * Parse a JSON column that may already be deserialized. PostgreSQL returns
+ * json columns as objects while MySQL and text columns return strings.
+ * @param {*} value - Stored value
+ * @param {*} fallback - Returned for null, undefined or malformed JSON
+ * @returns {*}
+ */
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * whereRaw arguments matching rows whose JSON text column contains a value:
+ * every element of an array, or every key of an object with an equal value
+ * @param {string} column - Trusted column name
+ * @param {Array|Object} value - Value the column must contain
+ * @param {string} dbType - Database type (DB_TYPE)
+ * @returns {Array} - whereRaw arguments
+ */
+const jsonContains = (column, value, dbType = process.env.DB_TYPE) => {
+  if (dbType === 'mysql') {
+    return [`JSON_CONTAINS(${column}, ?)`, [JSON.stringify(value)]];
+  }
+  return [`${column}::jsonb @> ?::jsonb`, [JSON.stringify(value)]];
+};
+
+module.exports = {
+  parseJson,
+  jsonContains
+};
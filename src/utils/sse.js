@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+const DEFAULT_HEARTBEAT_INTERVAL = 15000;
+const DEFAULT_RETRY = 3000;
+
+/**
+ * Open an SSE stream on a response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Stream options
+ * @param {Function} options.onClose - Called once when the client disconnects
+ * @returns {{send: Function, close: Function, isClosed: Function}}
+ */
+const openStream = (req, res, { onClose } = {}) => {
+  const heartbeatInterval = parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || DEFAULT_HEARTBEAT_INTERVAL;
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${DEFAULT_RETRY}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }
+  }, heartbeatInterval);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+    res.end();
+  };
+
+  res.on('close', close);
+
+  /**
+   * Send one event
+   * @param {Object} message - { id, event, data }
+   */
+  const send = ({ id, event, data }) => {
+    if (closed) return;
+    let frame = '';
+    if (id !== undefined && id !== null) frame += `id: ${id}\n`;
+    if (event) frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(frame);
+  };
+
+  return { send, close, isClosed: () => closed };
+};
+
+/**
+ * Read the resume position sent by a reconnecting client
+ * @param {Object} req - Express request
+ * @returns {number|null} - Last seen event id
+ */
+const getLastEventId = (req) => {
+  const value = req.get('Last-Event-ID') || req.query.lastEventId;
+  const id = parseInt(value);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+};
+
+module.exports = {
+  openStream,
+  getLastEventId
+};
@@ -0,0 +1,217 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Outbound URL guard for webhooks (SSRF protection)
+ *
+ * - Only schemes in WEBHOOK_ALLOWED_SCHEMES may be used (default http,https)
+ * - Private, loopback, link-local and other non-public ranges are blocked,
+ *   unless WEBHOOK_ALLOW_PRIVATE_NETWORKS=true
+ * - WEBHOOK_ALLOWED_CIDRS lists exceptions to the default block list
+ * - WEBHOOK_DENIED_CIDRS is always blocked, even if also allowed
+ *
+ * Host names are resolved once and the connection is made to the address that
+ * was checked, so a DNS answer cannot change between check and connect.
+ */
+
+const DEFAULT_BLOCKED_CIDRS = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+const BLOCKED_ERROR_CODE = 'ERR_WEBHOOK_URL_BLOCKED';
+
+/**
+ * Parse a comma separated env value
+ */
+const parseList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Build a BlockList from CIDR strings, ignoring malformed entries
+ */
+const toBlockList = (cidrs) => {
+  const list = new net.BlockList();
+  cidrs.forEach(cidr => {
+    const [address, prefix] = cidr.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+    if (!type) return;
+    const bits = prefix === undefined ? (type === 'ipv6' ? 128 : 32) : parseInt(prefix);
+    list.addSubnet(address, bits, type);
+  });
+  return list;
+};
+
+/**
+ * Read the guard policy from the environment
+ * @returns {Object}
+ */
+const getPolicy = () => ({
+  schemes: parseList(process.env.WEBHOOK_ALLOWED_SCHEMES || 'http,https').map(scheme => scheme.toLowerCase()),
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  defaults: toBlockList(DEFAULT_BLOCKED_CIDRS),
+  allowed: toBlockList(parseList(process.env.WEBHOOK_ALLOWED_CIDRS)),
+  denied: toBlockList(parseList(process.env.WEBHOOK_DENIED_CIDRS))
+});
+
+/**
+ * Check an IP address against the policy
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {Object} policy - Guard policy
+ * @returns {string|null} - Reason the address is blocked, or null
+ */
+const checkAddress = (address, policy = getPolicy()) => {
+  const type = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+  if (!type) return `'${address}' is not an IP address`;
+
+  if (policy.denied.check(address, type)) {
+    return `address ${address} is in a denied range`;
+  }
+  if (policy.allowed.check(address, type)) {
+    return null;
+  }
+  if (!policy.allowPrivate && policy.defaults.check(address, type)) {
+    return `address ${address} is in a private or reserved range`;
+  }
+  return null;
+};
+
+/**
+ * Check the parts of a URL that do not need DNS
+ * @param {string} url - Target URL
+ * @param {Object} policy - Guard policy
+ * @returns {string|null} - Reason the URL is blocked, or null
+ */
+const checkUrl = (url, policy = getPolicy()) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'invalid URL';
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+  if (!policy.schemes.includes(scheme)) {
+    return `scheme '${scheme}' is not allowed`;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return checkAddress(hostname, policy);
+  }
+
+  if (!policy.allowPrivate && (hostname === 'localhost' || hostname.endsWith('.localhost'))) {
+    return `host '${hostname}' is not allowed`;
+  }
+
+  return null;
+};
+
+/**
+ * Build an error for a blocked destination
+ */
+const blockedError = (reason) => {
+  const error = new Error(`Webhook destination blocked: ${reason}`);
+  error.code = BLOCKED_ERROR_CODE;
+  return error;
+};
+
+/**
+ * A dns.lookup replacement that rejects blocked addresses. Sockets connect to
+ * the address returned here, which pins the connection to the checked IP.
+ * @param {Function} resolver - dns.lookup compatible resolver
+ * @returns {Function}
+ */
+const createGuardedLookup = (resolver = dns.lookup) => {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    resolver(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const policy = getPolicy();
+      for (const { address } of addresses) {
+        const reason = checkAddress(address, policy);
+        if (reason) {
+          return callback(blockedError(`${reason} (resolved from ${hostname})`));
+        }
+      }
+
+      if (addresses.length === 0) {
+        return callback(Object.assign(new Error(`No addresses for ${hostname}`), { code: 'ENOTFOUND' }));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+};
+
+const guardedLookup = createGuardedLookup();
+
+/**
+ * HTTP(S) agents whose connections go through the guarded lookup
+ */
+const agents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * Resolve a URL's host and check every address, e.g. at registration time
+ * @param {string} url - Target URL
+ * @returns {Promise<string|null>} - Reason the URL is blocked, or null
+ */
+const checkUrlResolved = async (url) => {
+  const reason = checkUrl(url);
+  if (reason) return reason;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return null;
+
+  return new Promise((resolve) => {
+    guardedLookup(hostname, { all: true }, (error) => {
+      if (error && error.code === BLOCKED_ERROR_CODE) {
+        return resolve(error.message.replace('Webhook destination blocked: ', ''));
+      }
+      // Unresolvable hosts are left to fail at delivery time
+      resolve(null);
+    });
+  });
+};
+
+module.exports = {
+  DEFAULT_BLOCKED_CIDRS,
+  BLOCKED_ERROR_CODE,
+  getPolicy,
+  checkAddress,
+  checkUrl,
+  checkUrlResolved,
+  createGuardedLookup,
+  agents
+};
@@ -0,0 +1,190 @@
+const axios = require('axios');
+const { buildSignatureHeader } = require('./webhookSignature');
+const urlGuard = require('./urlGuard');
+const { parseJson } = require('./json');
+
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+/**
+ * Validate a webhook URL
+ * @param {string} url - Webhook endpoint URL
+ * @returns {boolean} - Whether the URL can be used as a webhook target
+ */
+const validateWebhookUrl = (url) => {
+  return urlGuard.checkUrl(url) === null;
+};
+
+/**
+ * Check a webhook URL against the SSRF policy, resolving its host name
+ * @param {string} url - Webhook endpoint URL
+ * @returns {Promise<string|null>} - Reason the URL is rejected, or null
+ */
+const checkWebhookUrl = async (url) => {
+  return urlGuard.checkUrlResolved(url);
+};
+
+/**
+ * Shape a job row for webhook payloads
+ * @param {Object} job - Job row
+ * @returns {Object} - Job as exposed by the API
+ */
+const formatJob = (job) => {
+  return {
+    id: job.id,
+    name: job.name,
+    description: job.description,
+    status: job.status,
+    progress: job.progress,
+    tags: parseJson(job.tags, []),
+    metadata: parseJson(job.metadata, {}),
+    ttl: job.ttl,
+    error: job.error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    failedAt: job.failed_at,
+    cancelledAt: job.cancelled_at,
+    parentId: job.parent_id || null
+  };
+};
+
+/**
+ * Create the payload for a job event
+ * @param {Object} job - Job row after the change
+ * @param {string} eventType - Event type
+ * @param {Object|null} previousState - Job row before the change
+ * @returns {Object} - Webhook payload
+ */
+const createJobPayload = (job, eventType, previousState = null) => {
+  return {
+    event: eventType,
+    timestamp: new Date().toISOString(),
+    job: formatJob(job),
+    previousState: previousState
+      ? {
+        status: previousState.status,
+        progress: previousState.progress
+      }
+      : null
+  };
+};
+
+/**
+ * Create the payload for an alert event
+ * @param {Object} alert - Alert row
+ * @param {string} eventType - 'alert_firing' or 'alert_resolved'
+ * @param {Object} rule - Rule the alert belongs to
+ * @returns {Object} - Webhook payload
+ */
+const createAlertPayload = (alert, eventType, rule) => {
+  return {
+    event: eventType,
+    timestamp: new Date().toISOString(),
+    message: eventType === 'alert_resolved' ? `Resolved: ${alert.message}` : alert.message,
+    alert: {
+      id: alert.id,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      ruleType: rule.type,
+      status: alert.status,
+      value: alert.value,
+      firedAt: alert.fired_at,
+      resolvedAt: alert.resolved_at || null
+    }
+  };
+};
+
+/**
+ * Truncate a response body for storage
+ * @param {*} data - Response data
+ * @returns {string|null}
+ */
+const serializeResponseBody = (data) => {
+  if (data === undefined || data === null || data === '') return null;
+  const body = typeof data === 'string' ? data : JSON.stringify(data);
+  return body.length > MAX_RESPONSE_BODY_LENGTH ? body.slice(0, MAX_RESPONSE_BODY_LENGTH) : body;
+};
+
+/**
+ * Send a single webhook request
+ * @param {string} url - Webhook endpoint URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} headers - Custom headers configured on the webhook
+ * @param {Object} options - Request options
+ * @param {Object} options.extraHeaders - Headers added by the delivery system
+ * @param {string[]} options.secrets - Signing secrets, current first
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} - { success, statusCode, responseBody, error, durationMs }
+ */
+const sendWebhook = async (url, payload, headers = {}, options = {}) => {
+  const timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT) || 5000;
+  const startedAt = Date.now();
+
+  // Serialize once so the signature covers the exact bytes sent
+  const body = JSON.stringify(payload);
+  const signatureHeaders = {};
+  if (options.secrets && options.secrets.length > 0) {
+    const timestamp = Math.floor(startedAt / 1000);
+    signatureHeaders['X-Signature'] = buildSignatureHeader(body, options.secrets, timestamp);
+    signatureHeaders['X-Signature-Timestamp'] = String(timestamp);
+  }
+
+  // Re-check on every send: the policy may have changed since registration
+  const blockedReason = urlGuard.checkUrl(url);
+  if (blockedReason) {
+    return {
+      success: false,
+      statusCode: null,
+      responseBody: null,
+      error: `Webhook destination blocked: ${blockedReason}`,
+      durationMs: 0
+    };
+  }
+
+  try {
+    // Redirects are never followed, and connections go through the guarded
+    // agents which check and pin the resolved address. Proxies are bypassed
+    // so the check applies to the real destination.
+    const response = await axios.post(url, body, {
+      timeout,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: urlGuard.agents.httpAgent,
+      httpsAgent: urlGuard.agents.httpsAgent,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Job-Status-API-Webhook/1.0',
+        ...(headers || {}),
+        ...(options.extraHeaders || {}),
+        ...signatureHeaders
+      }
+    });
+
+    return {
+      success: response.status >= 200 && response.status < 300,
+      statusCode: response.status,
+      responseBody: serializeResponseBody(response.data),
+      error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      success: false,
+      statusCode: error.response ? error.response.status : null,
+      responseBody: error.response ? serializeResponseBody(error.response.data) : null,
+      error: error.code === 'ECONNABORTED' ? `Timed out after ${timeout}ms` : error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+module.exports = {
+  validateWebhookUrl,
+  checkWebhookUrl,
+  formatJob,
+  createJobPayload,
+  createAlertPayload,
+  sendWebhook
+};
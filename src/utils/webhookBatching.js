@@ -0,0 +1,82 @@
+/**
+ * Webhook delivery modes
+ *
+ *   immediate - one delivery per event
+ *   batched   - events are buffered and sent as one array once batch_size
+ *               events are waiting or the oldest has waited batch_window ms
+ *   digest    - events are buffered for batch_window ms and only the latest
+ *               payload per job is sent
+ */
+
+const DELIVERY_MODES = ['immediate', 'batched', 'digest'];
+
+const BATCH_EVENT_TYPES = {
+  batched: 'batch',
+  digest: 'digest'
+};
+
+/**
+ * Resolve a webhook's batching settings, falling back to the configured defaults
+ * @param {Object} webhook - Webhook row
+ * @returns {{mode: string, size: number, window: number}}
+ */
+const getBatchSettings = (webhook) => {
+  return {
+    mode: DELIVERY_MODES.includes(webhook.delivery_mode) ? webhook.delivery_mode : 'immediate',
+    size: webhook.batch_size || parseInt(process.env.WEBHOOK_BATCH_SIZE) || 10,
+    window: webhook.batch_window || parseInt(process.env.WEBHOOK_BATCH_WINDOW) || 30000
+  };
+};
+
+/**
+ * Check whether a webhook's buffered events should be flushed
+ * @param {Object} settings - From getBatchSettings
+ * @param {Object} buffer - Buffered events
+ * @param {number} buffer.count - Number of buffered events
+ * @param {Date|string} buffer.oldestAt - When the oldest buffered event was created
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isBatchDue = (settings, { count, oldestAt }, now = new Date()) => {
+  if (count === 0) return false;
+  if (settings.mode === 'immediate') return true;
+  if (settings.mode === 'batched' && count >= settings.size) return true;
+  return new Date(oldestAt).getTime() + settings.window <= now.getTime();
+};
+
+/**
+ * Combine buffered payloads into one batch payload
+ * @param {string} mode - 'batched' or 'digest'
+ * @param {Object[]} payloads - Native payloads, oldest first
+ * @returns {{payload: Object[], collapsed: number}} - Array payload and how many events were dropped
+ */
+const buildBatch = (mode, payloads) => {
+  if (mode !== 'digest') {
+    return { payload: payloads, collapsed: 0 };
+  }
+
+  // Latest payload per job, in the order each job was last seen. previousState
+  // is taken from the job's first event so it describes the state before the window.
+  const byJob = new Map();
+  payloads.forEach((payload, index) => {
+    const key = payload.job ? payload.job.id : `event-${index}`;
+    const first = byJob.has(key) ? byJob.get(key).first : payload;
+    byJob.delete(key);
+    byJob.set(key, { first, latest: payload });
+  });
+
+  const payload = [...byJob.values()].map(({ first, latest }) => ({
+    ...latest,
+    previousState: first.previousState
+  }));
+
+  return { payload, collapsed: payloads.length - payload.length };
+};
+
+module.exports = {
+  DELIVERY_MODES,
+  BATCH_EVENT_TYPES,
+  getBatchSettings,
+  isBatchDue,
+  buildBatch
+};
@@ -0,0 +1,123 @@
+/**
+ * Webhook subscription filters
+ *
+ * A webhook may narrow the jobs it hears about with:
+ *   tags        - every listed tag must be on the job
+ *   namePattern - glob ("etl-*") matched against the job name
+ *   metadata    - every key must equal the job's metadata value
+ *   statuses    - job status must be in the list
+ * Missing or empty filters match every job.
+ */
+
+const { parseJson } = require('./json');
+
+// Raw regular expressions are refused: a user-supplied one can backtrack
+// catastrophically and stall every job mutation that evaluates filters
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/;
+
+const MAX_CACHED_PATTERNS = 500;
+const patternCache = new Map();
+
+/**
+ * Match a glob against a name without a RegExp. On a mismatch only the most
+ * recent * is widened, so matching takes at most pattern x name steps however
+ * many wildcards the pattern holds.
+ * @param {string} pattern - Glob with * and ? wildcards
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+const matchGlob = (pattern, name) => {
+  let p = 0;
+  let n = 0;
+  let star = -1;
+  let starMatch = 0;
+
+  while (n < name.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === name[n])) {
+      p++;
+      n++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      starMatch = n;
+    } else if (star !== -1) {
+      p = star + 1;
+      n = ++starMatch;
+    } else {
+      return false;
+    }
+  }
+
+  while (pattern[p] === '*') p++;
+  return p === pattern.length;
+};
+
+/**
+ * Compile a name pattern into a matcher. Compiled patterns are cached, since
+ * every job mutation checks every webhook's filters.
+ * @param {string} pattern - Glob with * and ? wildcards
+ * @returns {{test: Function}} - test(name) returns whether the name matches;
+ *   throws SyntaxError for a /regex/ literal
+ */
+const compileNamePattern = (pattern) => {
+  const cached = patternCache.get(pattern);
+  if (cached) return cached;
+
+  if (REGEX_LITERAL.test(pattern)) {
+    throw new SyntaxError('regular expressions are not supported, use a glob with * and ? wildcards');
+  }
+
+  const glob = pattern.replace(/\*+/g, '*');
+  const compiled = { test: name => matchGlob(glob, name) };
+
+  if (patternCache.size >= MAX_CACHED_PATTERNS) {
+    patternCache.clear();
+  }
+  patternCache.set(pattern, compiled);
+  return compiled;
+};
+
+/**
+ * Check whether a job passes a webhook's filters
+ * @param {Object} filters - Webhook filters
+ * @param {Object} job - Job row
+ * @returns {boolean}
+ */
+const matchesFilters = (filters, job) => {
+  const { tags, namePattern, metadata, statuses } = parseJson(filters, {}) || {};
+
+  if (Array.isArray(statuses) && statuses.length > 0 && !statuses.includes(job.status)) {
+    return false;
+  }
+
+  if (Array.isArray(tags) && tags.length > 0) {
+    const jobTags = parseJson(job.tags, []) || [];
+    if (!tags.every(tag => jobTags.includes(tag))) {
+      return false;
+    }
+  }
+
+  if (namePattern) {
+    try {
+      if (!compileNamePattern(namePattern).test(job.name || '')) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+  }
+
+  if (metadata && Object.keys(metadata).length > 0) {
+    const jobMetadata = parseJson(job.metadata, {}) || {};
+    const matchesAll = Object.entries(metadata).every(([key, value]) => jobMetadata[key] === value);
+    if (!matchesAll) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  compileNamePattern,
+  matchesFilters
+};
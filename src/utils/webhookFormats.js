@@ -0,0 +1,123 @@
+const { renderTemplate } = require('./webhookTemplates');
+
+/**
+ * Webhook payload formats
+ *
+ *   native                 - the API's own payload shape
+ *   cloudevents-structured - CloudEvents 1.0 JSON envelope, application/cloudevents+json
+ *   cloudevents-binary     - CloudEvents 1.0 binary mode, attributes in ce-* headers
+ *
+ * A webhook template (see utils/webhookTemplates) replaces the format entirely.
+ *
+ * Batch payloads (arrays, see utils/webhookBatching) are sent as a JSON array
+ * in native format, and as a CloudEvents batch (application/cloudevents-batch+json)
+ * in either CloudEvents format, since binary mode cannot carry more than one event.
+ */
+
+const WEBHOOK_FORMATS = ['native', 'cloudevents-structured', 'cloudevents-binary'];
+
+const CLOUDEVENTS_SPEC_VERSION = '1.0';
+const CLOUDEVENTS_TYPE_PREFIX = 'com.jobstatus';
+
+/**
+ * Build a CloudEvent from a native payload
+ * @param {Object} payload - Native payload ({ event, timestamp, job, previousState }, an alert or a test payload)
+ * @param {Object} options - Event attributes
+ * @param {string} options.id - Unique event id; redeliveries reuse the original id
+ * @returns {Object} - CloudEvent in structured form
+ */
+const toCloudEvent = (payload, { id }) => {
+  const { event, timestamp, ...data } = payload;
+  const isJobEvent = Boolean(payload.job);
+  const isAlertEvent = Boolean(payload.alert);
+
+  let kind = 'webhook';
+  if (isJobEvent) kind = 'job';
+  else if (isAlertEvent) kind = 'alert';
+
+  const cloudEvent = {
+    specversion: CLOUDEVENTS_SPEC_VERSION,
+    id,
+    source: process.env.CLOUDEVENTS_SOURCE || '/job-status-api',
+    type: `${CLOUDEVENTS_TYPE_PREFIX}.${kind}.${event}`,
+    time: timestamp || new Date().toISOString(),
+    datacontenttype: 'application/json',
+    data
+  };
+
+  if (isJobEvent) {
+    cloudEvent.subject = payload.job.id;
+  } else if (isAlertEvent) {
+    cloudEvent.subject = payload.alert.ruleId;
+  }
+
+  return cloudEvent;
+};
+
+/**
+ * Render a batch of native payloads in a webhook's format
+ * @param {string} format - One of WEBHOOK_FORMATS
+ * @param {Object[]} payloads - Native payloads
+ * @param {Object} options - Rendering options
+ * @param {string} options.id - Batch id; each event's id is derived from it
+ * @returns {{body: Object[], headers: Object}}
+ */
+const renderBatch = (format, payloads, { id }) => {
+  if (format === 'cloudevents-structured' || format === 'cloudevents-binary') {
+    return {
+      body: payloads.map((payload, index) => toCloudEvent(payload, { id: `${id}:${index}` })),
+      headers: { 'Content-Type': 'application/cloudevents-batch+json' }
+    };
+  }
+
+  return { body: payloads, headers: {} };
+};
+
+/**
+ * Render a payload in a webhook's format
+ * @param {string} format - One of WEBHOOK_FORMATS
+ * @param {Object|Object[]} payload - Native payload, or an array of them for a batch
+ * @param {Object} options - Rendering options
+ * @param {string} options.id - Event id
+ * @param {Object|null} options.template - Webhook template, takes precedence over the format
+ * @returns {{body: Object, headers: Object}}
+ */
+const renderPayload = (format, payload, { id, template = null }) => {
+  if (Array.isArray(payload)) {
+    return renderBatch(format, payload, { id });
+  }
+
+  if (template && template.type) {
+    return {
+      body: renderTemplate(template, payload),
+      headers: { 'Content-Type': 'application/json' }
+    };
+  }
+
+  switch (format) {
+    case 'cloudevents-structured':
+      return {
+        body: toCloudEvent(payload, { id }),
+        headers: { 'Content-Type': 'application/cloudevents+json' }
+      };
+
+    case 'cloudevents-binary': {
+      const { data, datacontenttype, ...attributes } = toCloudEvent(payload, { id });
+      const headers = { 'Content-Type': datacontenttype };
+      Object.entries(attributes).forEach(([name, value]) => {
+        headers[`ce-${name}`] = value;
+      });
+      return { body: data, headers };
+    }
+
+    default:
+      return { body: payload, headers: {} };
+  }
+};
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  toCloudEvent,
+  renderBatch,
+  renderPayload
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook payload signing.
+ *
+ * Header format: X-Signature: t=<unix seconds>,v1=<hex hmac-sha256>
+ * The HMAC covers "<t>.<raw body>". While a rotated secret is in its grace
+ * window the header carries one v1 entry per valid secret.
+ */
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Generate a new signing secret
+ * @returns {string}
+ */
+const generateSecret = () => {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Compute the signature for a body
+ * @param {string} body - Raw request body
+ * @param {string} secret - Signing secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} - Hex encoded HMAC-SHA256
+ */
+const computeSignature = (body, secret, timestamp) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+};
+
+/**
+ * Build the X-Signature header value
+ * @param {string} body - Raw request body
+ * @param {string[]} secrets - Secrets to sign with, current first
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string}
+ */
+const buildSignatureHeader = (body, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = secrets
+    .filter(Boolean)
+    .map(secret => `${SIGNATURE_VERSION}=${computeSignature(body, secret, timestamp)}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+/**
+ * Parse an X-Signature header
+ * @param {string} header - Header value
+ * @returns {{timestamp: number|null, signatures: string[]}}
+ */
+const parseSignatureHeader = (header) => {
+  const result = { timestamp: null, signatures: [] };
+  if (!header) return result;
+
+  header.split(',').forEach(part => {
+    const [key, value] = part.split('=').map(item => item && item.trim());
+    if (key === 't') {
+      result.timestamp = parseInt(value);
+    } else if (key === SIGNATURE_VERSION && value) {
+      result.signatures.push(value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Verify a signed body, as a receiver would
+ * @param {string} header - X-Signature header value
+ * @param {string} body - Raw request body
+ * @param {string} secret - Receiver's copy of the secret
+ * @param {Object} options - Verification options
+ * @param {number} options.tolerance - Maximum age in seconds
+ * @param {number} options.now - Current unix time in seconds
+ * @returns {boolean}
+ */
+const verifySignature = (header, body, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = {}) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isInteger(timestamp) || Math.abs(now - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(body, secret, timestamp), 'hex');
+  return signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+/**
+ * Secrets a webhook should currently be signed with
+ * @param {Object} webhook - Webhook row
+ * @param {Date} now - Current time
+ * @returns {string[]} - Current secret first, then the previous one during its grace window
+ */
+const getActiveSecrets = (webhook, now = new Date()) => {
+  const secrets = [];
+  if (webhook.secret) secrets.push(webhook.secret);
+  if (webhook.previous_secret && webhook.previous_secret_expires_at &&
+      new Date(webhook.previous_secret_expires_at) > now) {
+    secrets.push(webhook.previous_secret);
+  }
+  return secrets;
+};
+
+module.exports = {
+  generateSecret,
+  computeSignature,
+  buildSignatureHeader,
+  parseSignatureHeader,
+  verifySignature,
+  getActiveSecrets
+};
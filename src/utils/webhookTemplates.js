@@ -0,0 +1,276 @@
+const { formatJob } = require('./webhook');
+
+/**
+ * Webhook body templates for chat incoming-webhook URLs
+ *
+ *   { type: 'slack' }                - Slack Block Kit message
+ *   { type: 'teams' }                - Microsoft Teams Adaptive Card
+ *   { type: 'custom', body: '...' }  - Mustache-style template that must render to JSON
+ *
+ * Custom templates can reference {{event}}, {{timestamp}}, {{job.<field>}}
+ * (the fields of the job response) and {{previousState.status}} /
+ * {{previousState.progress}}. Inside quotes values are JSON-string escaped:
+ * { "text": "{{job.name}} is {{job.status}}" }. Outside quotes they are
+ * written as JSON values, with missing ones as null: { "progress": {{job.progress}} }.
+ */
+
+const TEMPLATE_TYPES = ['slack', 'teams', 'custom'];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const TEMPLATE_VARIABLES = [
+  'event',
+  'timestamp',
+  'message',
+  ...Object.keys(formatJob({})).map(field => `job.${field}`),
+  'previousState.status',
+  'previousState.progress'
+];
+
+const STATUS_EMOJI = {
+  pending: ':hourglass_flowing_sand:',
+  running: ':arrows_counterclockwise:',
+  completed: ':white_check_mark:',
+  failed: ':x:',
+  cancelled: ':no_entry_sign:'
+};
+
+const SAMPLE_PAYLOAD = {
+  event: 'status_change',
+  timestamp: new Date(0).toISOString(),
+  job: formatJob({
+    id: '00000000-0000-0000-0000-000000000000',
+    name: 'sample "job"',
+    status: 'completed',
+    progress: 100,
+    tags: ['sample'],
+    metadata: { key: 'value' }
+  }),
+  previousState: { status: 'running', progress: 90 }
+};
+
+/**
+ * Resolve a dotted path against the template context
+ */
+const lookup = (context, path) => {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+};
+
+/**
+ * Error raised when a custom template does not render to JSON
+ */
+class TemplateRenderError extends Error {
+  constructor(cause) {
+    super(`Custom template did not render to valid JSON: ${cause.message}`, { cause });
+    this.name = 'TemplateRenderError';
+    this.code = 'TEMPLATE_RENDER_ERROR';
+  }
+}
+
+/**
+ * Convert a value to JSON-string-escaped text (without surrounding quotes)
+ */
+const escapeValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (Array.isArray(value)) {
+    text = value.join(', ');
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return JSON.stringify(text).slice(1, -1);
+};
+
+/**
+ * Convert a value to a JSON literal, for variables written outside quotes
+ */
+const encodeValue = (value) => {
+  const encoded = JSON.stringify(value);
+  return encoded === undefined ? 'null' : encoded;
+};
+
+/**
+ * Track whether the template is inside a JSON string after a stretch of text
+ * @param {string} text - Template source
+ * @param {number} from - Start offset
+ * @param {number} to - End offset
+ * @param {boolean} inString - State at the start offset
+ * @returns {boolean} - State at the end offset
+ */
+const scanQuotes = (text, from, to, inString) => {
+  for (let index = from; index < to; index++) {
+    if (inString && text[index] === '\\') {
+      index++;
+    } else if (text[index] === '"') {
+      inString = !inString;
+    }
+  }
+  return inString;
+};
+
+/**
+ * Render a custom template
+ * @param {string} body - Template source
+ * @param {Object} payload - Native payload
+ * @returns {Object} - Parsed JSON body; throws TemplateRenderError if the result is not JSON
+ */
+const renderCustom = (body, payload) => {
+  let inString = false;
+  let scanned = 0;
+  const rendered = body.replace(VARIABLE_PATTERN, (match, path, offset) => {
+    inString = scanQuotes(body, scanned, offset, inString);
+    scanned = offset + match.length;
+    const value = lookup(payload, path);
+    return inString ? escapeValue(value) : encodeValue(value);
+  });
+
+  try {
+    return JSON.parse(rendered);
+  } catch (error) {
+    throw new TemplateRenderError(error);
+  }
+};
+
+/**
+ * Check a custom template at registration time
+ * @param {string} body - Template source
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+const validateCustomTemplate = (body) => {
+  const unknown = [];
+  body.replace(VARIABLE_PATTERN, (match, path) => {
+    if (!TEMPLATE_VARIABLES.includes(path)) unknown.push(path);
+    return match;
+  });
+
+  if (unknown.length > 0) {
+    return `unknown template variables: ${[...new Set(unknown)].join(', ')}`;
+  }
+
+  try {
+    renderCustom(body, SAMPLE_PAYLOAD);
+  } catch (error) {
+    return `template does not render to valid JSON: ${error.cause.message}`;
+  }
+
+  return null;
+};
+
+/**
+ * One-line summary used as chat fallback text
+ */
+const summarize = (payload) => {
+  const { job, event } = payload;
+  if (!job) return payload.message || `Job Status API ${event} event`;
+
+  const previous = payload.previousState && payload.previousState.status;
+  const transition = previous && previous !== job.status ? `${previous} → ${job.status}` : job.status;
+  return `${job.name}: ${transition} (${event})`;
+};
+
+/**
+ * Slack Block Kit message
+ */
+const renderSlack = (payload) => {
+  const { job } = payload;
+  const text = summarize(payload);
+  if (!job) {
+    return { text };
+  }
+
+  const fields = [
+    { type: 'mrkdwn', text: `*Status:*\n${job.status}` },
+    { type: 'mrkdwn', text: `*Progress:*\n${job.progress || 0}%` },
+    { type: 'mrkdwn', text: `*Event:*\n${payload.event}` },
+    { type: 'mrkdwn', text: `*Job ID:*\n${job.id}` }
+  ];
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${STATUS_EMOJI[job.status] || ''} *${job.name}*`.trim() }
+    },
+    { type: 'section', fields }
+  ];
+
+  if (job.error) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Error:*\n\`\`\`${job.error}\`\`\`` } });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: payload.timestamp }]
+  });
+
+  return { text, blocks };
+};
+
+/**
+ * Microsoft Teams Adaptive Card message
+ */
+const renderTeams = (payload) => {
+  const { job } = payload;
+  const body = [
+    { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: job ? job.name : 'Job Status API', wrap: true },
+    { type: 'TextBlock', text: summarize(payload), wrap: true, isSubtle: true }
+  ];
+
+  if (job) {
+    body.push({
+      type: 'FactSet',
+      facts: [
+        { title: 'Status', value: job.status },
+        { title: 'Progress', value: `${job.progress || 0}%` },
+        { title: 'Event', value: payload.event },
+        { title: 'Job ID', value: job.id },
+        ...(job.error ? [{ title: 'Error', value: job.error }] : [])
+      ]
+    });
+  }
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Render a payload through a webhook template
+ * @param {Object} template - { type, body }
+ * @param {Object} payload - Native payload
+ * @returns {Object} - Request body
+ */
+const renderTemplate = (template, payload) => {
+  switch (template.type) {
+    case 'slack':
+      return renderSlack(payload);
+    case 'teams':
+      return renderTeams(payload);
+    case 'custom':
+      return renderCustom(template.body, payload);
+    default:
+      return payload;
+  }
+};
+
+module.exports = {
+  TEMPLATE_TYPES,
+  TEMPLATE_VARIABLES,
+  validateCustomTemplate,
+  renderTemplate,
+  TemplateRenderError
+};
@@ -0,0 +1,62 @@
+const { MAX_ALERT_JOBS, formatWindow, evaluateRule, getAlertTransition } = require('../src/utils/alertRules');
+
+describe('Alert rules', () => {
+  const matches = (...jobIds) => ({ count: jobIds.length, jobIds });
+
+  it('should format windows in the largest whole unit', () => {
+    expect(formatWindow(30 * 60 * 1000)).toBe('30m');
+    expect(formatWindow(26 * 60 * 60 * 1000)).toBe('26h');
+    expect(formatWindow(2 * 24 * 60 * 60 * 1000)).toBe('2d');
+    expect(formatWindow(90 * 1000)).toBe('90s');
+    expect(formatWindow(1500)).toBe('1500ms');
+  });
+
+  it('should breach a max_duration rule while any matching job is overdue', () => {
+    const rule = { name: 'billing', type: 'max_duration', filters: '{"tags":["billing"]}', window_ms: 1800000 };
+
+    expect(evaluateRule(rule, matches('j1', 'j2'))).toEqual({
+      breached: true,
+      value: 2,
+      jobIds: ['j1', 'j2'],
+      message: 'billing: 2 job(s) not finished within 30m'
+    });
+    expect(evaluateRule(rule, matches()).breached).toBe(false);
+  });
+
+  it('should breach a failure_count rule only above its threshold', () => {
+    const rule = { name: 'failures', type: 'failure_count', filters: '{}', window_ms: 600000, threshold: 2 };
+
+    expect(evaluateRule(rule, matches('j1', 'j2', 'j3'))).toMatchObject({ breached: true, value: 3 });
+    expect(evaluateRule(rule, matches('j1', 'j2')).breached).toBe(false);
+    expect(evaluateRule({ ...rule, threshold: 0 }, matches('j1')).breached).toBe(true);
+  });
+
+  it('should breach an absence rule when no matching job completed', () => {
+    const rule = { name: 'backup', type: 'absence', filters: '{"namePattern":"nightly-backup"}', window_ms: 93600000 };
+
+    expect(evaluateRule(rule, matches())).toMatchObject({
+      breached: true,
+      value: 0,
+      message: 'backup: no job completed in the last 26h'
+    });
+    expect(evaluateRule(rule, matches('j3'))).toMatchObject({ breached: false, value: 1 });
+  });
+
+  it('should report the full count but keep at most MAX_ALERT_JOBS ids', () => {
+    const rule = { name: 'failures', type: 'failure_count', filters: '{}', window_ms: 600000, threshold: 0 };
+    const jobIds = Array.from({ length: MAX_ALERT_JOBS + 5 }, (value, index) => `j${index}`);
+
+    const result = evaluateRule(rule, { count: 500, jobIds });
+    expect(result.value).toBe(500);
+    expect(result.jobIds).toEqual(jobIds.slice(0, MAX_ALERT_JOBS));
+  });
+
+  it('should open an alert once and resolve it on recovery', () => {
+    const openAlert = { id: 'a1', status: 'firing' };
+
+    expect(getAlertTransition(null, true)).toBe('fire');
+    expect(getAlertTransition(openAlert, true)).toBeNull();
+    expect(getAlertTransition(openAlert, false)).toBe('resolve');
+    expect(getAlertTransition(null, false)).toBeNull();
+  });
+});
@@ -0,0 +1,18 @@
+const { computeBackoff } = require('../src/utils/backoff');
+
+describe('Retry backoff', () => {
+  it('should double the delay on each attempt', () => {
+    const noJitter = { baseDelay: 1000, random: () => 1 };
+    expect(computeBackoff(1, noJitter)).toBe(1000);
+    expect(computeBackoff(2, noJitter)).toBe(2000);
+    expect(computeBackoff(4, noJitter)).toBe(8000);
+  });
+
+  it('should keep at least half of the delay when jittering', () => {
+    expect(computeBackoff(3, { baseDelay: 1000, random: () => 0 })).toBe(2000);
+  });
+
+  it('should cap the delay', () => {
+    expect(computeBackoff(30, { baseDelay: 1000, maxDelay: 5000, random: () => 1 })).toBe(5000);
+  });
+});
@@ -0,0 +1,51 @@
+const breaker = require('../src/utils/circuitBreaker');
+
+describe('Webhook circuit breaker', () => {
+  const config = {
+    threshold: 3,
+    probeInterval: 1000,
+    maxProbeInterval: 8000,
+    disableAfter: 60000,
+    probeLease: 10000
+  };
+  const now = new Date('2024-01-01T00:00:00Z');
+
+  it('should stay closed below the failure threshold', () => {
+    expect(breaker.evaluateAttempt({ retry_count: 1 }, false, now, config)).toEqual({ retry_count: 2 });
+  });
+
+  it('should open after the threshold and schedule a probe', () => {
+    const update = breaker.evaluateAttempt({ retry_count: 2, breaker_state: 'closed' }, false, now, config);
+    expect(update.breaker_state).toBe('open');
+    expect(update.breaker_opened_at).toEqual(now);
+    expect(update.next_probe_at).toEqual(new Date(now.getTime() + 1000));
+  });
+
+  it('should back off probes after failed half-open attempts', () => {
+    const webhook = { retry_count: 4, breaker_state: 'half_open', breaker_opened_at: now };
+    const later = new Date(now.getTime() + 5000);
+    const update = breaker.evaluateAttempt(webhook, false, later, config);
+    expect(update.breaker_state).toBe('open');
+    expect(update.next_probe_at).toEqual(new Date(later.getTime() + 4000));
+  });
+
+  it('should auto-disable after staying open for the configured window', () => {
+    const webhook = { retry_count: 10, breaker_state: 'half_open', breaker_opened_at: now };
+    const update = breaker.evaluateAttempt(webhook, false, new Date(now.getTime() + 60000), config);
+    expect(update.is_active).toBe(false);
+    expect(update.disabled_reason).toMatch(/Circuit breaker open/);
+  });
+
+  it('should close on success', () => {
+    const update = breaker.evaluateAttempt({ retry_count: 7, breaker_state: 'half_open' }, true, now, config);
+    expect(update).toMatchObject({ retry_count: 0, breaker_state: 'closed', next_probe_at: null });
+  });
+
+  it('should send, probe or defer depending on state', () => {
+    expect(breaker.getDispatchDecision({ breaker_state: 'closed' }, now)).toBe('send');
+    expect(breaker.getDispatchDecision({ breaker_state: 'open', next_probe_at: new Date(now.getTime() + 1) }, now)).toBe('defer');
+    expect(breaker.getDispatchDecision({ breaker_state: 'open', next_probe_at: now }, now)).toBe('probe');
+    expect(breaker.getDispatchDecision({ breaker_state: 'half_open', next_probe_at: new Date(now.getTime() + 1) }, now)).toBe('defer');
+    expect(breaker.getDispatchDecision({ breaker_state: 'half_open', next_probe_at: now }, now)).toBe('probe');
+  });
+});
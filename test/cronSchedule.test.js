@@ -0,0 +1,22 @@
+const { checkCronExpression, isValidTimezone, getFireSlot } = require('../src/utils/cronSchedule');
+
+describe('Cron schedules', () => {
+  it('should accept five-field cron expressions only', () => {
+    expect(checkCronExpression('0 2 * * *')).toBeNull();
+    expect(checkCronExpression('*/15 9-17 * * 1-5')).toBeNull();
+    expect(checkCronExpression('0 0 2 * * *')).toMatch(/five fields/);
+    expect(checkCronExpression('61 * * * *')).toMatch(/not a valid/);
+  });
+
+  it('should validate IANA timezones', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Nowhere/Special')).toBe(false);
+  });
+
+  it('should give replicas with skewed clocks the same slot', () => {
+    const slot = new Date('2026-01-01T02:00:00Z');
+    expect(getFireSlot(new Date('2026-01-01T02:00:00.040Z'))).toEqual(slot);
+    expect(getFireSlot(new Date('2026-01-01T01:59:58.900Z'))).toEqual(slot);
+    expect(getFireSlot(new Date('2026-01-01T02:00:03.500Z'))).toEqual(slot);
+  });
+});
@@ -0,0 +1,28 @@
+const { latestOf, earliestOf, addMilliseconds } = require('../src/utils/dbTime');
+
+describe('SQL date arithmetic', () => {
+  it('should fall back between columns so one null does not hide the others', () => {
+    expect(latestOf(['started_at'])).toBe('started_at');
+    expect(latestOf(['last_heartbeat_at', 'started_at'])).toBe(
+      'greatest(coalesce(last_heartbeat_at, started_at), coalesce(started_at, last_heartbeat_at))'
+    );
+  });
+
+  it('should take the earliest of several columns', () => {
+    expect(earliestOf(['deadline_at', 'expires_at'])).toBe(
+      'least(coalesce(deadline_at, expires_at), coalesce(expires_at, deadline_at))'
+    );
+  });
+
+  it('should add milliseconds with an interval on PostgreSQL', () => {
+    expect(addMilliseconds('started_at', 'max_runtime', 'postgres')).toBe(
+      "started_at + max_runtime * interval '1 millisecond'"
+    );
+  });
+
+  it('should add milliseconds as microseconds on MySQL', () => {
+    expect(addMilliseconds('started_at', 'max_runtime', 'mysql')).toBe(
+      'date_add(started_at, interval max_runtime * 1000 microsecond)'
+    );
+  });
+});
@@ -0,0 +1,47 @@
+const { percentile, summarizeLatency, summarize } = require('../src/utils/deliveryStats');
+
+describe('Webhook delivery stats', () => {
+  it('should compute nearest-rank percentiles', () => {
+    const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    expect(percentile(values, 50)).toBe(50);
+    expect(percentile(values, 95)).toBe(100);
+    expect(percentile([42], 95)).toBe(42);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('should summarize a sample of durations', () => {
+    expect(summarizeLatency([5000, 120, 80, 100])).toEqual({ p50: 100, p95: 5000, samples: 4 });
+    expect(summarizeLatency([])).toEqual({ p50: null, p95: null, samples: 0 });
+  });
+
+  it('should summarize deliveries and attempts', () => {
+    const stats = summarize({
+      deliveryCounts: [
+        { status: 'delivered', count: '8', retries: '2' },
+        { status: 'failed', count: '2', retries: '6' },
+        { status: 'sending', count: 1, retries: null }
+      ],
+      statusCodeCounts: [
+        { status_code: 200, count: '2' },
+        { status_code: 500, count: '1' },
+        { status_code: null, count: 1 }
+      ],
+      latency: { p50: 100, p95: '5000', samples: '4' },
+      lastError: { error_message: 'Timed out after 5000ms', status_code: null, created_at: '2024-01-01T00:02:00Z' }
+    });
+
+    expect(stats.deliveries).toEqual({ total: 11, delivered: 8, failed: 2, pending: 1, successRate: 0.8 });
+    expect(stats.retries).toBe(8);
+    expect(stats.attempts).toBe(4);
+    expect(stats.latency).toEqual({ p50: 100, p95: 5000, samples: 4 });
+    expect(stats.statusCodes).toEqual({ 200: 2, 500: 1, error: 1 });
+    expect(stats.lastError).toEqual({ message: 'Timed out after 5000ms', statusCode: null, at: '2024-01-01T00:02:00Z' });
+  });
+
+  it('should report no success rate without finished deliveries', () => {
+    const stats = summarize({ deliveryCounts: [{ status: 'pending', count: 3, retries: 0 }] });
+    expect(stats.deliveries.successRate).toBeNull();
+    expect(stats.latency.p50).toBeNull();
+    expect(stats.lastError).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+const { parseDuration } = require('../src/utils/duration');
+
+describe('Duration parsing', () => {
+  it('should parse values with units', () => {
+    expect(parseDuration('500ms')).toBe(500);
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('2m')).toBe(120000);
+    expect(parseDuration('1h')).toBe(3600000);
+    expect(parseDuration('1.5d')).toBe(129600000);
+  });
+
+  it('should apply the default unit to bare numbers', () => {
+    expect(parseDuration('45')).toBe(45000);
+    expect(parseDuration(10, 'm')).toBe(600000);
+  });
+
+  it('should reject malformed values', () => {
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration('-5s')).toBeNull();
+    expect(parseDuration(undefined)).toBeNull();
+  });
+});
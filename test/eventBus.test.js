@@ -0,0 +1,59 @@
+// Virtual, so the suite runs even where src/utils/logger is not available
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const redis = require('../src/config/redis');
+const eventBus = require('../src/services/eventBus');
+
+describe('Event bus', () => {
+  const message = { event: { id: 1, job_id: 'job-1' }, job: { id: 'job-1' } };
+  let listener;
+  let unsubscribe;
+
+  beforeEach(() => {
+    listener = jest.fn();
+    unsubscribe = eventBus.subscribe(listener);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    eventBus.isDistributed = false;
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver local publishes to listeners without Redis', () => {
+    const publish = jest.spyOn(redis, 'publish').mockResolvedValue();
+
+    eventBus.publish(message);
+
+    expect(listener).toHaveBeenCalledWith(message);
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it('should fan local publishes out to other replicas when distributed', () => {
+    jest.spyOn(redis, 'isReady').mockReturnValue(true);
+    const publish = jest.spyOn(redis, 'publish').mockResolvedValue();
+    eventBus.isDistributed = true;
+
+    eventBus.publish(message);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith(eventBus.channel, { origin: eventBus.instanceId, message });
+  });
+
+  it('should deliver messages from other replicas', () => {
+    eventBus.handleRemote({ origin: 'other-replica', message });
+    expect(listener).toHaveBeenCalledWith(message);
+  });
+
+  it('should ignore its own echoed messages and empty envelopes', () => {
+    eventBus.handleRemote({ origin: eventBus.instanceId, message });
+    eventBus.handleRemote(null);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should stop delivering after unsubscribe', () => {
+    unsubscribe();
+    eventBus.handleRemote({ origin: 'other-replica', message });
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
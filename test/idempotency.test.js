@@ -0,0 +1,60 @@
+const { getIdempotencySettings, checkIdempotencyKey, stableStringify, getFingerprint, getBulkRequestBody, getStorageKey, resolveExisting } = require('../src/utils/idempotency');
+
+describe('Idempotency keys', () => {
+  afterEach(() => {
+    delete process.env.IDEMPOTENCY_KEY_TTL;
+  });
+
+  it('should default to a 24 hour replay window', () => {
+    expect(getIdempotencySettings()).toEqual({ ttl: 86400000, pendingTtl: 300000 });
+    process.env.IDEMPOTENCY_KEY_TTL = '60000';
+    expect(getIdempotencySettings().ttl).toBe(60000);
+  });
+
+  it('should accept printable keys up to 255 characters', () => {
+    expect(checkIdempotencyKey('8e03978e-40d5-43e8-bc93-6894a57f9324')).toBeNull();
+    expect(checkIdempotencyKey('')).toMatch(/between 1 and 255/);
+    expect(checkIdempotencyKey('x'.repeat(256))).toMatch(/between 1 and 255/);
+    expect(checkIdempotencyKey('has space')).toMatch(/printable/);
+  });
+
+  it('should fingerprint bodies independently of key order', () => {
+    expect(stableStringify({ b: [1, { d: 2, c: 3 }], a: null, skip: undefined })).toBe('{"a":null,"b":[1,{"c":3,"d":2}]}');
+    expect(getFingerprint({ name: 'a', tags: ['x'] })).toBe(getFingerprint({ tags: ['x'], name: 'a' }));
+    expect(getFingerprint({ name: 'a' })).not.toBe(getFingerprint({ name: 'b' }));
+  });
+
+  it('should cover every bulk operation, with creates in any order', () => {
+    const create = (name) => ({ operation: 'create', data: { name } });
+    const update = (status) => ({ operation: 'update', data: { id: 'job-1', status } });
+    const fingerprint = (operations) => getFingerprint(getBulkRequestBody(operations));
+
+    const original = fingerprint([create('a'), update('running'), create('b')]);
+    expect(fingerprint([create('b'), create('a'), update('running')])).toBe(original);
+    expect(fingerprint([create('a'), update('completed'), create('b')])).not.toBe(original);
+    expect(fingerprint([create('a'), create('b')])).not.toBe(original);
+    expect(fingerprint([update('running'), update('completed')])).not.toBe(fingerprint([update('completed'), update('running')]));
+  });
+
+  it('should scope keys to the caller and the operation', () => {
+    const key = getStorageKey('alice', 'jobs:create', 'k1');
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(getStorageKey('bob', 'jobs:create', 'k1')).not.toBe(key);
+    expect(getStorageKey('alice', 'jobs:bulk', 'k1')).not.toBe(key);
+    expect(getStorageKey(null, 'jobs:create', 'k1')).not.toBe(key);
+  });
+
+  it('should replay, reject a different body, or report a request in flight', () => {
+    const response = { status: 201, body: { job: { id: 'j1' } } };
+
+    expect(resolveExisting({ fingerprint: 'f1', response }, 'f1')).toEqual({ replay: response });
+    expect(resolveExisting({ fingerprint: 'f1', response }, 'f2').error).toMatchObject({
+      status: 422,
+      body: { code: 'IDEMPOTENCY_KEY_MISMATCH' }
+    });
+    expect(resolveExisting({ fingerprint: 'f1', response: null }, 'f1').error).toMatchObject({
+      status: 409,
+      body: { code: 'IDEMPOTENCY_KEY_IN_USE' }
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { TIMEOUT_ERROR, getRuntimeDeadline, getTimeout, getRemainingSeconds, getTimeoutUpdate } = require('../src/utils/jobDeadline');
+
+describe('Job deadlines', () => {
+  const now = new Date('2026-01-01T00:10:00Z');
+  const startedAt = new Date('2026-01-01T00:00:00Z');
+
+  it('should only give running jobs a runtime deadline', () => {
+    const job = { status: 'running', started_at: startedAt, max_runtime: 300000 };
+
+    expect(getRuntimeDeadline(job)).toEqual(new Date('2026-01-01T00:05:00Z'));
+    expect(getRuntimeDeadline({ ...job, status: 'pending' })).toBeNull();
+    expect(getRuntimeDeadline({ ...job, max_runtime: null })).toBeNull();
+  });
+
+  it('should time out at the earlier of the deadline and the runtime budget', () => {
+    const job = { status: 'running', started_at: startedAt, max_runtime: 300000, deadline_at: '2026-01-01T00:03:00Z' };
+
+    expect(getTimeout(job)).toEqual({ at: new Date('2026-01-01T00:03:00Z'), reason: 'deadline' });
+    expect(getTimeout({ ...job, deadline_at: '2026-01-01T01:00:00Z' })).toEqual({
+      at: new Date('2026-01-01T00:05:00Z'),
+      reason: 'runtime'
+    });
+    expect(getTimeout({ ...job, status: 'pending' })).toEqual({ at: new Date('2026-01-01T00:03:00Z'), reason: 'deadline' });
+    expect(getTimeout({ ...job, status: 'completed' })).toBeNull();
+    expect(getTimeout({ status: 'pending' })).toBeNull();
+  });
+
+  it('should count down remaining seconds without going negative', () => {
+    const job = { status: 'pending', deadline_at: '2026-01-01T00:12:30Z' };
+
+    expect(getRemainingSeconds(job, now)).toBe(150);
+    expect(getRemainingSeconds({ ...job, deadline_at: '2026-01-01T00:10:00.200Z' }, now)).toBe(1);
+    expect(getRemainingSeconds({ ...job, deadline_at: '2026-01-01T00:09:00Z' }, now)).toBe(0);
+    expect(getRemainingSeconds({ status: 'pending' }, now)).toBeNull();
+    expect(getRemainingSeconds({ ...job, status: 'cancelled' }, now)).toBeNull();
+  });
+
+  it('should fail a timed out job and end its lease', () => {
+    expect(getTimeoutUpdate({ status: 'running' }, now)).toMatchObject({
+      status: 'failed',
+      error: TIMEOUT_ERROR,
+      lease_expires_at: null,
+      failed_at: now,
+      updated_at: now
+    });
+  });
+});
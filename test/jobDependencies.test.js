@@ -0,0 +1,40 @@
+const { getEdgeState, deriveDependentStatus, findCycle } = require('../src/utils/jobDependencies');
+
+describe('Job dependencies', () => {
+  const edge = (dependsOnId, state) => ({ depends_on_id: dependsOnId, state });
+
+  // In-memory graph of job id => ids it depends on
+  const lookup = (graph) => async (jobIds) => jobIds.flatMap(jobId =>
+    (graph[jobId] || []).map(dependsOnId => ({ job_id: jobId, depends_on_id: dependsOnId })));
+
+  it('should map dependency statuses to edge states', () => {
+    expect(getEdgeState('completed')).toBe('satisfied');
+    expect(getEdgeState('running')).toBe('waiting');
+    expect(getEdgeState('blocked')).toBe('waiting');
+    expect(getEdgeState('failed')).toBe('failed');
+    expect(getEdgeState('cancelled')).toBe('failed');
+    expect(getEdgeState(null)).toBe('failed');
+  });
+
+  it('should block until every edge is satisfied', () => {
+    expect(deriveDependentStatus([edge('a', 'satisfied'), edge('b', 'waiting')]).status).toBe('blocked');
+    expect(deriveDependentStatus([edge('a', 'satisfied'), edge('b', 'satisfied')]).status).toBe('pending');
+    expect(deriveDependentStatus([]).status).toBe('pending');
+  });
+
+  it('should cancel when any edge failed', () => {
+    expect(deriveDependentStatus([edge('a', 'waiting'), edge('b', 'failed')]))
+      .toEqual({ status: 'cancelled', error: 'Dependency b did not complete' });
+  });
+
+  it('should find no cycle in a DAG', async () => {
+    const graph = { b: ['c'], c: [], d: ['c'] };
+    await expect(findCycle('a', ['b', 'd'], lookup(graph))).resolves.toBeNull();
+  });
+
+  it('should return the path of a cycle', async () => {
+    const graph = { a: ['b'], b: ['c'] };
+    await expect(findCycle('c', ['a'], lookup(graph))).resolves.toEqual(['c', 'a', 'b', 'c']);
+    await expect(findCycle('a', ['a'], lookup({}))).resolves.toEqual(['a', 'a']);
+  });
+});
@@ -0,0 +1,35 @@
+const { deriveEventTypes } = require('../src/utils/jobEvents');
+
+describe('Job event derivation', () => {
+  const running = { status: 'running', progress: 40 };
+
+  it('should emit created, plus the outcome for jobs created in a terminal state', () => {
+    expect(deriveEventTypes('created', null, { status: 'pending', progress: 0 })).toEqual(['created']);
+    expect(deriveEventTypes('created', null, { status: 'failed', progress: 0 })).toEqual(['created', 'failure']);
+  });
+
+  it('should emit status_change and completion when a job completes', () => {
+    expect(deriveEventTypes('updated', running, { status: 'completed', progress: 40 }))
+      .toEqual(['status_change', 'completion']);
+  });
+
+  it('should emit failure alongside progress changes', () => {
+    expect(deriveEventTypes('updated', running, { status: 'failed', progress: 55 }))
+      .toEqual(['status_change', 'failure', 'progress_update']);
+  });
+
+  it('should emit only progress_update when the status is unchanged', () => {
+    expect(deriveEventTypes('updated', running, { status: 'running', progress: 60 })).toEqual(['progress_update']);
+    expect(deriveEventTypes('updated', running, { ...running })).toEqual([]);
+  });
+
+  it('should emit unblocked when a job leaves blocked', () => {
+    expect(deriveEventTypes('updated', { status: 'blocked', progress: 0 }, { status: 'pending', progress: 0 }))
+      .toEqual(['status_change', 'unblocked']);
+  });
+
+  it('should emit deleted and expired for removals', () => {
+    expect(deriveEventTypes('deleted', running, null)).toEqual(['deleted']);
+    expect(deriveEventTypes('expired', running, null)).toEqual(['expired']);
+  });
+});
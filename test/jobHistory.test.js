@@ -0,0 +1,51 @@
+// Virtual, so the suite runs even where src/utils/logger is not available
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const { TRACKED_FIELDS, diffJob } = require('../src/services/jobHistory');
+
+describe('Job history diff', () => {
+  const job = (overrides = {}) => ({
+    id: 'job-1',
+    name: 'import',
+    description: null,
+    status: 'pending',
+    progress: 0,
+    tags: ['nightly'],
+    metadata: { source: 'csv' },
+    ttl: null,
+    updated_at: new Date('2024-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  it('should report changed tracked fields with their old and new values', () => {
+    const changes = diffJob(job(), job({ status: 'running', progress: 40 }));
+    expect(changes).toEqual({
+      status: { from: 'pending', to: 'running' },
+      progress: { from: 0, to: 40 }
+    });
+  });
+
+  it('should compare tags and metadata by value', () => {
+    expect(diffJob(job(), job({ tags: ['nightly'], metadata: { source: 'csv' } }))).toEqual({});
+    expect(diffJob(job(), job({ tags: ['nightly', 'eu'] })).tags).toEqual({
+      from: ['nightly'],
+      to: ['nightly', 'eu']
+    });
+  });
+
+  it('should ignore unchanged and untracked fields', () => {
+    expect(TRACKED_FIELDS).not.toContain('updated_at');
+    expect(diffJob(job(), job({ updated_at: new Date('2024-02-01T00:00:00Z') }))).toEqual({});
+  });
+
+  it('should snapshot every set field on create and delete', () => {
+    const created = diffJob(null, job());
+    expect(created.name).toEqual({ from: null, to: 'import' });
+    expect(created.tags).toEqual({ from: null, to: ['nightly'] });
+    expect(created).not.toHaveProperty('description');
+
+    const deleted = diffJob(job(), null);
+    expect(deleted.status).toEqual({ from: 'pending', to: null });
+    expect(deleted).not.toHaveProperty('id');
+  });
+});
@@ -0,0 +1,64 @@
+const { getLeaseSettings, getLeaseExpiry, getExpiryUpdate, getHeartbeatDeadline, getStaleUpdate, getLeaseRelease, globToLike } = require('../src/utils/jobLease');
+
+describe('Job leases', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const settings = { duration: 60000, maxDuration: 120000, expiryAction: 'requeue' };
+
+  afterEach(() => {
+    delete process.env.JOB_LEASE_EXPIRY_ACTION;
+  });
+
+  it('should fall back to requeue for unknown expiry actions', () => {
+    process.env.JOB_LEASE_EXPIRY_ACTION = 'FAIL';
+    expect(getLeaseSettings().expiryAction).toBe('fail');
+    process.env.JOB_LEASE_EXPIRY_ACTION = 'retry';
+    expect(getLeaseSettings().expiryAction).toBe('requeue');
+  });
+
+  it('should use the default lease and cap requested leases', () => {
+    expect(getLeaseExpiry(null, settings, now).getTime() - now.getTime()).toBe(60000);
+    expect(getLeaseExpiry(90000, settings, now).getTime() - now.getTime()).toBe(90000);
+    expect(getLeaseExpiry(600000, settings, now).getTime() - now.getTime()).toBe(120000);
+  });
+
+  it('should requeue or fail a job whose lease expired', () => {
+    const job = { status: 'running', lease_owner: 'worker-1' };
+    expect(getExpiryUpdate(job, 'requeue', now)).toMatchObject({ status: 'pending', lease_owner: null, started_at: null });
+    expect(getExpiryUpdate(job, 'fail', now)).toMatchObject({
+      status: 'failed',
+      error: 'Lease held by worker-1 expired',
+      failed_at: now
+    });
+  });
+
+  it('should time heartbeats from the last heartbeat or the start of the run', () => {
+    const startedAt = new Date('2026-01-01T00:00:00Z');
+    const beat = new Date('2026-01-01T00:05:00Z');
+    const job = { heartbeat_timeout: 60000, started_at: startedAt, last_heartbeat_at: null };
+
+    expect(getHeartbeatDeadline({ ...job, heartbeat_timeout: null })).toBeNull();
+    expect(getHeartbeatDeadline(job)).toEqual(new Date('2026-01-01T00:01:00Z'));
+    expect(getHeartbeatDeadline({ ...job, last_heartbeat_at: beat })).toEqual(new Date('2026-01-01T00:06:00Z'));
+    // A heartbeat from an earlier run does not count against a re-opened job
+    expect(getHeartbeatDeadline({ ...job, started_at: beat, last_heartbeat_at: startedAt })).toEqual(new Date('2026-01-01T00:06:00Z'));
+  });
+
+  it('should fail stale jobs with an explanation', () => {
+    expect(getStaleUpdate({ status: 'running', heartbeat_timeout: 90000 }, now)).toMatchObject({
+      status: 'failed',
+      error: 'No heartbeat received for 90s; the worker is presumed dead',
+      failed_at: now
+    });
+  });
+
+  it('should end the lease only when a job leaves running', () => {
+    expect(getLeaseRelease('running', 'completed')).toEqual({ lease_expires_at: null });
+    expect(getLeaseRelease('running', undefined)).toEqual({});
+    expect(getLeaseRelease('pending', 'running')).toEqual({});
+  });
+
+  it('should translate name globs to LIKE patterns', () => {
+    expect(globToLike('nightly-*')).toBe('nightly-%');
+    expect(globToLike('50%_done')).toBe('50\\%\\_done');
+  });
+});
@@ -0,0 +1,45 @@
+const { parseRetryPolicy, getAttemptStart, getRetryDelay, applyRetryPolicy, getAttemptOutcome } = require('../src/utils/jobRetry');
+
+describe('Job retries', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const policy = JSON.stringify({ maxAttempts: 3, backoff: 'fixed', delay: 5000 });
+  const running = { status: 'running', attempt: 1, retry_policy: policy };
+  const failure = { status: 'failed', error: 'boom', failed_at: now };
+
+  it('should default to a single attempt', () => {
+    expect(parseRetryPolicy(null).maxAttempts).toBe(1);
+    expect(parseRetryPolicy(policy)).toMatchObject({ maxAttempts: 3, backoff: 'fixed' });
+  });
+
+  it('should start a new attempt each time a job enters running', () => {
+    expect(getAttemptStart(null, 'running')).toEqual({ attempt: 1, retry_at: null, error: null });
+    expect(getAttemptStart({ status: 'pending', attempt: 2 }, 'running')).toEqual({ attempt: 3, retry_at: null, error: null });
+    expect(getAttemptStart({ status: 'running', attempt: 2 }, 'running')).toEqual({});
+    expect(getAttemptStart({ status: 'pending', attempt: 2 }, 'cancelled')).toEqual({});
+  });
+
+  it('should back off between attempts', () => {
+    expect(getRetryDelay(parseRetryPolicy(policy), 2)).toBe(5000);
+    const exponential = parseRetryPolicy({ maxAttempts: 5, delay: 1000 });
+    expect(getRetryDelay(exponential, 3, () => 1)).toBe(4000);
+  });
+
+  it('should reschedule a failure while attempts remain', () => {
+    const update = applyRetryPolicy(running, failure, now);
+    expect(update).toMatchObject({ status: 'pending', error: 'boom', retry_at: new Date('2026-01-01T00:00:05Z') });
+    expect(update).not.toHaveProperty('failed_at');
+  });
+
+  it('should let the job fail once attempts are used up', () => {
+    expect(applyRetryPolicy({ ...running, attempt: 3 }, failure, now)).toBe(failure);
+    expect(applyRetryPolicy({ status: 'running', attempt: 1 }, failure, now)).toBe(failure);
+    expect(applyRetryPolicy(running, { status: 'completed' }, now)).toEqual({ status: 'completed' });
+  });
+
+  it('should derive how an attempt ended', () => {
+    expect(getAttemptOutcome(running, { status: 'completed' })).toBe('completed');
+    expect(getAttemptOutcome(running, { status: 'pending' })).toBe('failed');
+    expect(getAttemptOutcome(running, { status: 'running' })).toBeNull();
+    expect(getAttemptOutcome({ status: 'pending' }, { status: 'cancelled' })).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+const { computeRollup } = require('../src/utils/jobRollup');
+
+describe('Job roll-up', () => {
+  const child = (status, progress = 0, weight = 1) => ({ status, progress, weight });
+
+  it('should return null without children', () => {
+    expect(computeRollup([], 'unweighted')).toBeNull();
+  });
+
+  it('should average child progress, counting completed children as done', () => {
+    const children = [child('running', 50, 3), child('completed', 20, 1)];
+    expect(computeRollup(children, 'unweighted').progress).toBe(75);
+    expect(computeRollup(children, 'weighted').progress).toBe(63);
+  });
+
+  it('should leave a parent of pending children alone', () => {
+    expect(computeRollup([child('pending'), child('pending')], 'unweighted').status).toBeNull();
+  });
+
+  it('should derive running, completed and failed', () => {
+    expect(computeRollup([child('running'), child('pending')], 'unweighted').status).toBe('running');
+    expect(computeRollup([child('completed'), child('pending')], 'unweighted').status).toBe('running');
+    expect(computeRollup([child('completed'), child('cancelled')], 'unweighted').status).toBe('completed');
+    expect(computeRollup([child('failed'), child('running')], 'unweighted')).toMatchObject({ status: 'failed', failedCount: 1 });
+    expect(computeRollup([child('cancelled'), child('cancelled')], 'unweighted').status).toBe('cancelled');
+  });
+});
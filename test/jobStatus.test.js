@@ -0,0 +1,55 @@
+const jobStatus = require('../src/utils/jobStatus');
+
+describe('Job status state machine', () => {
+  const originalReopen = process.env.JOB_REOPEN_TRANSITIONS;
+
+  afterEach(() => {
+    if (originalReopen === undefined) {
+      delete process.env.JOB_REOPEN_TRANSITIONS;
+    } else {
+      process.env.JOB_REOPEN_TRANSITIONS = originalReopen;
+    }
+  });
+
+  it('should allow the default forward transitions', () => {
+    expect(jobStatus.canTransition('pending', 'running')).toBe(true);
+    expect(jobStatus.canTransition('running', 'completed')).toBe(true);
+    expect(jobStatus.canTransition('running', 'failed')).toBe(true);
+    expect(jobStatus.canTransition('pending', 'cancelled')).toBe(true);
+  });
+
+  it('should reject moving a terminal job back to pending', () => {
+    delete process.env.JOB_REOPEN_TRANSITIONS;
+    expect(jobStatus.canTransition('completed', 'pending')).toBe(false);
+    expect(() => jobStatus.assertTransition('completed', 'pending'))
+      .toThrow(jobStatus.InvalidTransitionError);
+  });
+
+  it('should treat an unchanged status as a no-op', () => {
+    expect(jobStatus.canTransition('completed', 'completed')).toBe(true);
+    expect(jobStatus.canTransition('running', undefined)).toBe(true);
+  });
+
+  it('should honor configured re-open paths', () => {
+    process.env.JOB_REOPEN_TRANSITIONS = 'failed:pending, bogus:running';
+    expect(jobStatus.getAllowedTransitions('failed')).toEqual(['pending']);
+    expect(jobStatus.canTransition('failed', 'pending')).toBe(true);
+    expect(jobStatus.canTransition('cancelled', 'pending')).toBe(false);
+  });
+
+  it('should set the timestamp for the new status', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    expect(jobStatus.getTransitionTimestamps('pending', 'running', now)).toEqual({ started_at: now });
+    expect(jobStatus.getTransitionTimestamps('running', 'failed', now)).toEqual({ failed_at: now });
+    expect(jobStatus.getTransitionTimestamps('running', 'running', now)).toEqual({});
+  });
+
+  it('should clear terminal timestamps when a job is re-opened', () => {
+    const now = new Date();
+    expect(jobStatus.getTransitionTimestamps('failed', 'pending', now)).toEqual({
+      completed_at: null,
+      failed_at: null,
+      cancelled_at: null
+    });
+  });
+});
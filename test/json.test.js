@@ -0,0 +1,21 @@
+const { parseJson, jsonContains } = require('../src/utils/json');
+
+describe('JSON columns', () => {
+  it('should parse strings and pass through deserialized values', () => {
+    expect(parseJson('{"a":1}', {})).toEqual({ a: 1 });
+    expect(parseJson('["x"]', [])).toEqual(['x']);
+    const value = { a: 1 };
+    expect(parseJson(value, {})).toBe(value);
+  });
+
+  it('should return the fallback for missing or malformed values', () => {
+    expect(parseJson(null, [])).toEqual([]);
+    expect(parseJson(undefined, null)).toBeNull();
+    expect(parseJson('{oops', {})).toEqual({});
+  });
+
+  it('should build JSON containment filters for PostgreSQL and MySQL', () => {
+    expect(jsonContains('tags', ['billing'], 'postgres')).toEqual(['tags::jsonb @> ?::jsonb', ['["billing"]']]);
+    expect(jsonContains('metadata', { region: 'eu' }, 'mysql')).toEqual(['JSON_CONTAINS(metadata, ?)', ['{"region":"eu"}']]);
+  });
+});
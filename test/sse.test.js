@@ -0,0 +1,77 @@
+const { EventEmitter } = require('events');
+const { openStream, getLastEventId } = require('../src/utils/sse');
+
+describe('Server-Sent Events', () => {
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.status = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.flushHeaders = jest.fn();
+    res.write = jest.fn(chunk => res.chunks.push(chunk));
+    res.end = jest.fn();
+    return res;
+  };
+
+  const createRequest = (headers = {}, query = {}) => ({
+    get: name => headers[name],
+    query
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should open the stream with event-stream headers and a retry hint', () => {
+    const res = createResponse();
+    const stream = openStream(createRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.chunks[0]).toBe('retry: 3000\n\n');
+    stream.close();
+  });
+
+  it('should frame events with id, event type and JSON data', () => {
+    const res = createResponse();
+    const stream = openStream(createRequest(), res);
+
+    stream.send({ id: 7, event: 'status_change', data: { status: 'running' } });
+    stream.send({ event: 'snapshot', data: { job: null } });
+
+    expect(res.chunks[1]).toBe('id: 7\nevent: status_change\ndata: {"status":"running"}\n\n');
+    expect(res.chunks[2]).toBe('event: snapshot\ndata: {"job":null}\n\n');
+    stream.close();
+  });
+
+  it('should send heartbeats until the client disconnects', () => {
+    const res = createResponse();
+    const onClose = jest.fn();
+    const stream = openStream(createRequest(), res, { onClose });
+
+    jest.advanceTimersByTime(15000);
+    expect(res.chunks[1]).toMatch(/^: heartbeat /);
+
+    res.emit('close');
+    res.emit('close');
+    jest.advanceTimersByTime(15000);
+    stream.send({ data: {} });
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(res.end).toHaveBeenCalledTimes(1);
+    expect(stream.isClosed()).toBe(true);
+    expect(res.chunks).toHaveLength(2);
+  });
+
+  it('should read the resume position from the header or query string', () => {
+    expect(getLastEventId(createRequest({ 'Last-Event-ID': '42' }))).toBe(42);
+    expect(getLastEventId(createRequest({}, { lastEventId: '0' }))).toBe(0);
+    expect(getLastEventId(createRequest({ 'Last-Event-ID': 'abc' }))).toBeNull();
+    expect(getLastEventId(createRequest({}, { lastEventId: '-1' }))).toBeNull();
+    expect(getLastEventId(createRequest())).toBeNull();
+  });
+});
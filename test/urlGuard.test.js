@@ -0,0 +1,60 @@
+const { checkAddress, checkUrl, createGuardedLookup, BLOCKED_ERROR_CODE } = require('../src/utils/urlGuard');
+
+describe('Webhook URL guard', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const resolveTo = (...addresses) => (hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  };
+
+  const lookup = (resolver, hostname, options = {}) => new Promise((resolve) => {
+    createGuardedLookup(resolver)(hostname, options, (error, address, family) => {
+      resolve({ error, address, family });
+    });
+  });
+
+  it('should block private, loopback and link-local addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => expect(checkAddress(address)).not.toBeNull());
+    ['93.184.216.34', '2606:4700:4700::1111'].forEach(address => expect(checkAddress(address)).toBeNull());
+  });
+
+  it('should apply allow and deny lists', () => {
+    process.env.WEBHOOK_ALLOWED_CIDRS = '10.20.0.0/16';
+    process.env.WEBHOOK_DENIED_CIDRS = '10.20.5.0/24,93.184.216.0/24';
+    expect(checkAddress('10.20.1.1')).toBeNull();
+    expect(checkAddress('10.20.5.1')).toMatch(/denied/);
+    expect(checkAddress('93.184.216.34')).toMatch(/denied/);
+    expect(checkAddress('10.30.1.1')).toMatch(/private/);
+  });
+
+  it('should check schemes, localhost and literal IPs in URLs', () => {
+    expect(checkUrl('https://example.com/hook')).toBeNull();
+    expect(checkUrl('ftp://example.com/hook')).toMatch(/scheme/);
+    expect(checkUrl('http://localhost:5432')).toMatch(/localhost/);
+    expect(checkUrl('http://169.254.169.254/latest/meta-data')).toMatch(/169\.254\.169\.254/);
+    expect(checkUrl('http://[::1]:8080/')).not.toBeNull();
+    expect(checkUrl('http://2130706433/')).not.toBeNull();
+    expect(checkUrl('not a url')).toBe('invalid URL');
+
+    process.env.WEBHOOK_ALLOWED_SCHEMES = 'https';
+    expect(checkUrl('http://example.com/hook')).toMatch(/scheme/);
+  });
+
+  it('should reject host names that resolve to blocked addresses', async () => {
+    const { error } = await lookup(resolveTo('93.184.216.34', '127.0.0.1'), 'rebind.example');
+    expect(error.code).toBe(BLOCKED_ERROR_CODE);
+    expect(error.message).toMatch(/127\.0\.0\.1.*rebind\.example/);
+  });
+
+  it('should pin the connection to the checked address', async () => {
+    expect(await lookup(resolveTo('93.184.216.34'), 'example.com')).toEqual({ error: null, address: '93.184.216.34', family: 4 });
+
+    const { address } = await lookup(resolveTo('93.184.216.34', '2606:4700:4700::1111'), 'example.com', { all: true });
+    expect(address).toHaveLength(2);
+  });
+});
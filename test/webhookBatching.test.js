@@ -0,0 +1,48 @@
+const { getBatchSettings, isBatchDue, buildBatch } = require('../src/utils/webhookBatching');
+
+describe('Webhook batching', () => {
+  const now = new Date('2024-01-01T00:01:00Z');
+  const payload = (jobId, status, previous) => ({
+    event: 'progress_update',
+    job: { id: jobId, status },
+    previousState: { status: previous }
+  });
+
+  it('should fall back to the configured defaults', () => {
+    expect(getBatchSettings({})).toEqual({ mode: 'immediate', size: 10, window: 30000 });
+    expect(getBatchSettings({ delivery_mode: 'digest', batch_size: 5, batch_window: 1000 }))
+      .toEqual({ mode: 'digest', size: 5, window: 1000 });
+  });
+
+  it('should flush batched webhooks on size or window', () => {
+    const settings = { mode: 'batched', size: 3, window: 30000 };
+    expect(isBatchDue(settings, { count: 3, oldestAt: now }, now)).toBe(true);
+    expect(isBatchDue(settings, { count: 2, oldestAt: now }, now)).toBe(false);
+    expect(isBatchDue(settings, { count: 2, oldestAt: new Date('2024-01-01T00:00:30Z') }, now)).toBe(true);
+    expect(isBatchDue(settings, { count: 0, oldestAt: null }, now)).toBe(false);
+  });
+
+  it('should only flush digests when the window has passed', () => {
+    const settings = { mode: 'digest', size: 3, window: 30000 };
+    expect(isBatchDue(settings, { count: 50, oldestAt: now }, now)).toBe(false);
+    expect(isBatchDue(settings, { count: 1, oldestAt: '2024-01-01T00:00:00Z' }, now)).toBe(true);
+  });
+
+  it('should keep every event in a batch', () => {
+    const payloads = [payload('a', 'running', 'pending'), payload('a', 'completed', 'running')];
+    expect(buildBatch('batched', payloads)).toEqual({ payload: payloads, collapsed: 0 });
+  });
+
+  it('should keep the latest state per job in a digest', () => {
+    const { payload: digest, collapsed } = buildBatch('digest', [
+      payload('a', 'running', 'pending'),
+      payload('b', 'running', 'pending'),
+      payload('a', 'completed', 'running')
+    ]);
+
+    expect(collapsed).toBe(1);
+    expect(digest.map(entry => entry.job.id)).toEqual(['b', 'a']);
+    expect(digest[1].job.status).toBe('completed');
+    expect(digest[1].previousState).toEqual({ status: 'pending' });
+  });
+});
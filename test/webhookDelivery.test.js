@@ -0,0 +1,118 @@
+// Virtual, so the suite runs even where src/utils/logger is not available
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const database = require('../src/config/database');
+const webhookDelivery = require('../src/services/webhookDelivery');
+const webhookManager = require('../src/utils/webhook');
+
+describe('Webhook redelivery', () => {
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    jest.spyOn(database, 'getConnection').mockReturnValue(() => ({
+      insert: async (rows) => inserted.push(...rows)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const delivery = (id, createdAt, overrides = {}) => ({
+    id,
+    webhook_id: 'webhook-1',
+    job_id: 'job-1',
+    event_type: 'status_change',
+    payload: '{"event":"status_change"}',
+    status: 'delivered',
+    original_delivery_id: null,
+    created_at: new Date(createdAt),
+    ...overrides
+  });
+
+  it('should queue redeliveries in the order the originals were created', async () => {
+    const rows = await webhookDelivery.redeliver([
+      delivery('c', '2024-01-01T00:00:03Z'),
+      delivery('a', '2024-01-01T00:00:01Z'),
+      delivery('b', '2024-01-01T00:00:02Z')
+    ]);
+
+    expect(rows.map(row => row.original_delivery_id)).toEqual(['a', 'b', 'c']);
+    expect(inserted).toEqual(rows);
+
+    const dueTimes = rows.map(row => row.next_attempt_at.getTime());
+    expect(dueTimes[0]).toBeLessThan(dueTimes[1]);
+    expect(dueTimes[1]).toBeLessThan(dueTimes[2]);
+  });
+
+  it('should link redeliveries of a redelivery to the original', async () => {
+    const [row] = await webhookDelivery.redeliver([
+      delivery('retry-1', '2024-01-02T00:00:00Z', { original_delivery_id: 'a', payload: { event: 'status_change' } })
+    ]);
+
+    expect(row).toMatchObject({
+      original_delivery_id: 'a',
+      status: 'pending',
+      retry_count: 0,
+      payload: '{"event":"status_change"}'
+    });
+    expect(row.id).not.toBe('retry-1');
+  });
+
+  it('should queue nothing for an empty list', async () => {
+    expect(await webhookDelivery.redeliver([])).toEqual([]);
+    expect(inserted).toHaveLength(0);
+  });
+});
+
+describe('Webhook delivery attempts', () => {
+  let writes;
+
+  const webhook = {
+    id: 'webhook-1',
+    url: 'https://example.com/hook',
+    is_active: true,
+    format: 'native',
+    template: JSON.stringify({ type: 'custom', body: '{"text": "{{job.name}}"' }),
+    breaker_state: 'closed',
+    retry_count: 0
+  };
+
+  beforeEach(() => {
+    writes = [];
+    jest.spyOn(database, 'getConnection').mockReturnValue((table) => {
+      const query = {
+        where: () => query,
+        select: async () => [webhook],
+        insert: async (row) => writes.push({ table, insert: row }),
+        update: async (row) => writes.push({ table, update: row })
+      };
+      return query;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should fail a delivery whose template cannot render, without retrying or tripping the breaker', async () => {
+    const send = jest.spyOn(webhookManager, 'sendWebhook');
+
+    await webhookDelivery.attempt({
+      id: 'delivery-1',
+      webhook_id: 'webhook-1',
+      event_type: 'status_change',
+      payload: '{"event":"status_change","job":{"name":"nightly"}}',
+      retry_count: 0
+    });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(writes).toHaveLength(1);
+    expect(writes[0]).toMatchObject({
+      table: 'webhook_deliveries',
+      update: { status: 'failed', next_attempt_at: null }
+    });
+    expect(writes[0].update.error_message).toMatch(/template/i);
+  });
+});
@@ -0,0 +1,66 @@
+const { compileNamePattern, matchesFilters } = require('../src/utils/webhookFilters');
+
+describe('Webhook filters', () => {
+  const job = {
+    name: 'nightly-etl-orders',
+    status: 'failed',
+    tags: JSON.stringify(['etl', 'billing']),
+    metadata: { team: 'data', priority: 'high' }
+  };
+
+  it('should match every job when no filters are set', () => {
+    expect(matchesFilters({}, job)).toBe(true);
+    expect(matchesFilters(null, job)).toBe(true);
+  });
+
+  it('should require all listed tags', () => {
+    expect(matchesFilters({ tags: ['etl'] }, job)).toBe(true);
+    expect(matchesFilters({ tags: ['etl', 'marketing'] }, job)).toBe(false);
+  });
+
+  it('should match name globs', () => {
+    expect(compileNamePattern('nightly-*').test(job.name)).toBe(true);
+    expect(compileNamePattern('nightly-etl-?rders').test(job.name)).toBe(true);
+    expect(compileNamePattern('**-orders').test(job.name)).toBe(true);
+    expect(compileNamePattern('etl.*').test('etlXorders')).toBe(false);
+    expect(matchesFilters({ namePattern: 'weekly-*' }, job)).toBe(false);
+  });
+
+  it('should match globs with many wildcards in bounded time', () => {
+    const started = Date.now();
+    const pattern = compileNamePattern('*a*a*a*a*a*a*a*a*b');
+    expect(pattern.test('a'.repeat(60))).toBe(false);
+    expect(pattern.test(`${'a'.repeat(60)}b`)).toBe(true);
+    expect(Date.now() - started).toBeLessThan(100);
+  });
+
+  it('should match literal characters exactly', () => {
+    expect(compileNamePattern('a.b').test('a.b')).toBe(true);
+    expect(compileNamePattern('a.b').test('axb')).toBe(false);
+    expect(compileNamePattern('a?').test('a')).toBe(false);
+    expect(compileNamePattern('*').test('')).toBe(true);
+  });
+
+  it('should refuse regex literals', () => {
+    expect(() => compileNamePattern('/ORDERS$/i')).toThrow(SyntaxError);
+    expect(matchesFilters({ namePattern: '/ORDERS$/i' }, job)).toBe(false);
+  });
+
+  it('should reuse compiled patterns', () => {
+    expect(compileNamePattern('nightly-*')).toBe(compileNamePattern('nightly-*'));
+  });
+
+  it('should compare metadata values', () => {
+    expect(matchesFilters({ metadata: { team: 'data' } }, job)).toBe(true);
+    expect(matchesFilters({ metadata: { team: 'web' } }, job)).toBe(false);
+  });
+
+  it('should apply the status allow-list', () => {
+    expect(matchesFilters({ statuses: ['failed', 'cancelled'] }, job)).toBe(true);
+    expect(matchesFilters({ statuses: ['completed'] }, job)).toBe(false);
+  });
+
+  it('should accept filters stored as JSON text', () => {
+    expect(matchesFilters(JSON.stringify({ tags: ['billing'], statuses: ['failed'] }), job)).toBe(true);
+  });
+});
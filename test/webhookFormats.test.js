@@ -0,0 +1,62 @@
+const { renderPayload } = require('../src/utils/webhookFormats');
+
+describe('Webhook payload formats', () => {
+  const payload = {
+    event: 'status_change',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    job: { id: 'job-1', name: 'nightly-etl', status: 'completed' },
+    previousState: { status: 'running', progress: 90 }
+  };
+
+  it('should pass native payloads through unchanged', () => {
+    expect(renderPayload('native', payload, { id: 'd1' })).toEqual({ body: payload, headers: {} });
+  });
+
+  it('should wrap structured CloudEvents in an envelope', () => {
+    const { body, headers } = renderPayload('cloudevents-structured', payload, { id: 'd1' });
+    expect(headers['Content-Type']).toBe('application/cloudevents+json');
+    expect(body).toMatchObject({
+      specversion: '1.0',
+      id: 'd1',
+      type: 'com.jobstatus.job.status_change',
+      subject: 'job-1',
+      time: '2024-01-01T00:00:00.000Z',
+      data: { job: payload.job, previousState: payload.previousState }
+    });
+    expect(body.source).toBeTruthy();
+  });
+
+  it('should move binary CloudEvents attributes into ce- headers', () => {
+    const { body, headers } = renderPayload('cloudevents-binary', payload, { id: 'd1' });
+    expect(body).toEqual({ job: payload.job, previousState: payload.previousState });
+    expect(headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'ce-specversion': '1.0',
+      'ce-id': 'd1',
+      'ce-type': 'com.jobstatus.job.status_change',
+      'ce-subject': 'job-1'
+    });
+  });
+
+  it('should type test payloads as webhook events', () => {
+    const { body } = renderPayload('cloudevents-structured', { event: 'test', message: 'hi' }, { id: 't1' });
+    expect(body.type).toBe('com.jobstatus.webhook.test');
+    expect(body.subject).toBeUndefined();
+  });
+
+  it('should type alert payloads as alert events about their rule', () => {
+    const alertPayload = { event: 'alert_firing', message: 'billing: 2 job(s) not finished within 30m', alert: { id: 'a1', ruleId: 'rule-1' } };
+    const { body } = renderPayload('cloudevents-structured', alertPayload, { id: 'd2' });
+    expect(body.type).toBe('com.jobstatus.alert.alert_firing');
+    expect(body.subject).toBe('rule-1');
+  });
+
+  it('should send batches as an array or a CloudEvents batch', () => {
+    expect(renderPayload('native', [payload, payload], { id: 'b1' }).body).toEqual([payload, payload]);
+
+    const { body, headers } = renderPayload('cloudevents-binary', [payload, payload], { id: 'b1' });
+    expect(headers['Content-Type']).toBe('application/cloudevents-batch+json');
+    expect(body.map(event => event.id)).toEqual(['b1:0', 'b1:1']);
+    expect(body[0].subject).toBe('job-1');
+  });
+});
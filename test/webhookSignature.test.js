@@ -0,0 +1,48 @@
+const signature = require('../src/utils/webhookSignature');
+
+describe('Webhook signatures', () => {
+  const body = JSON.stringify({ event: 'status_change', job: { id: 'abc' } });
+  const now = 1700000000;
+
+  it('should generate distinct prefixed secrets', () => {
+    const secret = signature.generateSecret();
+    expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(signature.generateSecret()).not.toBe(secret);
+  });
+
+  it('should verify a header built with the same secret', () => {
+    const header = signature.buildSignatureHeader(body, ['secret-a'], now);
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(signature.verifySignature(header, body, 'secret-a', { now })).toBe(true);
+    expect(signature.verifySignature(header, body, 'secret-b', { now })).toBe(false);
+  });
+
+  it('should reject tampered bodies and stale timestamps', () => {
+    const header = signature.buildSignatureHeader(body, ['secret-a'], now);
+    expect(signature.verifySignature(header, `${body} `, 'secret-a', { now })).toBe(false);
+    expect(signature.verifySignature(header, body, 'secret-a', { now: now + 301 })).toBe(false);
+  });
+
+  it('should sign with both secrets during a rotation grace window', () => {
+    const webhook = {
+      secret: 'new-secret',
+      previous_secret: 'old-secret',
+      previous_secret_expires_at: new Date(Date.now() + 60000)
+    };
+    const secrets = signature.getActiveSecrets(webhook);
+    expect(secrets).toEqual(['new-secret', 'old-secret']);
+
+    const header = signature.buildSignatureHeader(body, secrets, now);
+    expect(signature.parseSignatureHeader(header).signatures).toHaveLength(2);
+    expect(signature.verifySignature(header, body, 'old-secret', { now })).toBe(true);
+  });
+
+  it('should drop the previous secret once the grace window ends', () => {
+    const webhook = {
+      secret: 'new-secret',
+      previous_secret: 'old-secret',
+      previous_secret_expires_at: new Date(Date.now() - 1000)
+    };
+    expect(signature.getActiveSecrets(webhook)).toEqual(['new-secret']);
+  });
+});
@@ -0,0 +1,76 @@
+const { renderTemplate, validateCustomTemplate, TemplateRenderError } = require('../src/utils/webhookTemplates');
+
+describe('Webhook templates', () => {
+  const payload = {
+    event: 'failure',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    job: {
+      id: 'job-1',
+      name: 'nightly "backup"',
+      status: 'failed',
+      progress: 40,
+      tags: ['ops', 'backup'],
+      error: 'disk full'
+    },
+    previousState: { status: 'running', progress: 40 }
+  };
+
+  it('should render Slack Block Kit messages with fallback text', () => {
+    const body = renderTemplate({ type: 'slack' }, payload);
+    expect(body.text).toBe('nightly "backup": running → failed (failure)');
+    expect(body.blocks[0].text.text).toContain('*nightly "backup"*');
+    expect(JSON.stringify(body.blocks)).toContain('disk full');
+  });
+
+  it('should render Teams Adaptive Cards', () => {
+    const body = renderTemplate({ type: 'teams' }, payload);
+    const card = body.attachments[0];
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.body[2].facts).toContainEqual({ title: 'Status', value: 'failed' });
+  });
+
+  it('should render custom templates with JSON-escaped values', () => {
+    const template = {
+      type: 'custom',
+      body: '{"text": "{{job.name}} went {{previousState.status}} -> {{ job.status }} [{{job.tags}}]"}'
+    };
+    expect(renderTemplate(template, payload)).toEqual({
+      text: 'nightly "backup" went running -> failed [ops, backup]'
+    });
+  });
+
+  it('should write variables outside quotes as JSON values, with missing ones as null', () => {
+    const template = {
+      type: 'custom',
+      body: '{"progress": {{job.progress}}, "tags": {{job.tags}}, "parent": {{job.parentId}}, "name": {{job.name}}}'
+    };
+    expect(renderTemplate(template, payload)).toEqual({
+      progress: 40,
+      tags: ['ops', 'backup'],
+      parent: null,
+      name: 'nightly "backup"'
+    });
+    expect(renderTemplate(template, { event: 'alert_firing', message: 'Rule breached' })).toEqual({
+      progress: null,
+      tags: null,
+      parent: null,
+      name: null
+    });
+  });
+
+  it('should track quotes escaped inside strings', () => {
+    const template = { type: 'custom', body: '{"text": "say \\"{{job.status}}\\"", "status": {{job.status}}}' };
+    expect(renderTemplate(template, payload)).toEqual({ text: 'say "failed"', status: 'failed' });
+  });
+
+  it('should raise a TemplateRenderError when the output is not JSON', () => {
+    const template = { type: 'custom', body: '{"text": "{{job.name}}"' };
+    expect(() => renderTemplate(template, payload)).toThrow(TemplateRenderError);
+  });
+
+  it('should reject unknown variables and templates that are not JSON', () => {
+    expect(validateCustomTemplate('{"text": "{{job.name}}"}')).toBeNull();
+    expect(validateCustomTemplate('{"text": "{{job.owner}}"}')).toMatch(/unknown template variables: job.owner/);
+    expect(validateCustomTemplate('text: {{job.name}}')).toMatch(/valid JSON/);
+  });
+});
@@ -0,0 +1,132 @@
+// Virtual, so the suite runs even where src/utils/logger is not available
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }), { virtual: true });
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const webhookManager = require('../src/utils/webhook');
+const webhookDelivery = require('../src/services/webhookDelivery');
+const jobNotifier = require('../src/services/jobNotifier');
+const webhookRoutes = require('../src/routes/webhooks');
+
+describe('Webhook routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+
+  let stored;
+
+  // Writes values the way node-postgres does: arrays as array literals, objects as JSON
+  const toColumn = (value) => {
+    if (Array.isArray(value)) return `{${value.map(item => JSON.stringify(item)).join(',')}}`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+    return value;
+  };
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(webhookManager, 'checkWebhookUrl').mockResolvedValue(null);
+    jest.spyOn(database, 'getConnection').mockReturnValue(() => ({
+      insert: (row) => ({
+        returning: async () => {
+          const saved = Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toColumn(value)]));
+          stored.push(saved);
+          return [saved];
+        }
+      }),
+      where: () => ({ select: async () => stored })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should dispatch events to a webhook registered through the API', async () => {
+    const enqueue = jest.spyOn(webhookDelivery, 'enqueue').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/webhooks')
+      .send({ url: 'https://example.com/hook', events: ['status_change'], headers: { 'X-Source': 'test' } })
+      .expect(201);
+
+    expect(response.body.webhook.events).toEqual(['status_change']);
+    expect(response.body.webhook.headers).toEqual({ 'X-Source': 'test' });
+
+    const job = { id: 'job-1', name: 'nightly', status: 'running', tags: '[]', metadata: '{}' };
+    await jobNotifier.dispatchWebhooks(job, ['status_change'], { ...job, status: 'pending' });
+
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue.mock.calls[0][0].map(webhook => webhook.id)).toEqual([response.body.webhook.id]);
+  });
+});
+
+describe('Webhook replay', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+
+  let tables;
+
+  // Just enough of a knex query to run the replay route against arrays
+  const table = (name) => {
+    const filters = [];
+    const query = {
+      where: (column, ...args) => {
+        // Only equality and the replay's lower time bound
+        filters.push(args.length === 2
+          ? row => row[column] >= new Date(args[1])
+          : row => row[column] === args[0]);
+        return query;
+      },
+      whereNull: (column) => {
+        filters.push(row => row[column] === null);
+        return query;
+      },
+      whereIn: (column, values) => {
+        filters.push(row => values.includes(row[column]));
+        return query;
+      },
+      orderBy: () => query,
+      limit: () => query,
+      select: async () => tables[name].filter(row => filters.every(filter => filter(row))),
+      insert: async (rows) => tables[name].push(...rows)
+    };
+    return query;
+  };
+
+  const delivery = (id, status) => ({
+    id,
+    webhook_id: 'webhook-1',
+    job_id: 'job-1',
+    event_type: 'status_change',
+    payload: '{"event":"status_change"}',
+    status,
+    original_delivery_id: null,
+    created_at: new Date('2024-01-01T00:00:00Z')
+  });
+
+  beforeEach(() => {
+    tables = {
+      webhooks: [{ id: 'webhook-1', is_active: true }],
+      webhook_deliveries: ['delivered', 'failed', 'pending', 'sending', 'buffered', 'batched']
+        .map(status => delivery(status, status))
+    };
+    jest.spyOn(database, 'getConnection').mockReturnValue(table);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only re-send deliveries that have finished', async () => {
+    const response = await request(app)
+      .post('/api/webhooks/webhook-1/replay')
+      .query({ since: '2023-12-31T00:00:00Z' })
+      .expect(202);
+
+    expect(response.body.count).toBe(2);
+    const queued = tables.webhook_deliveries.filter(row => row.original_delivery_id);
+    expect(queued.map(row => row.original_delivery_id).sort()).toEqual(['delivered', 'failed']);
+  });
+});